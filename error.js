@@ -1,10 +1,11 @@
 export class ClientAdapterError extends Error {
-  constructor(errorInfo, originalError = null) {
+  constructor(errorInfo, originalError = null, details = null) {
     super(errorInfo.message);
     this.name = "ClientAdapterError";
     this.code = errorInfo.code;
     this.userMessage = errorInfo.userMessage;
     this.originalError = originalError;
+    this.details = details;
   }
 
   /**
@@ -40,6 +41,12 @@ export const ERRORS = {
     message: "transaction is required",
     userMessage: "トランザクションが必要です",
   },
+  VALIDATION_READ_AFTER_WRITE: {
+    code: "VALIDATION/READ_AFTER_WRITE",
+    message:
+      "a document cannot be read after other writes in the same transaction; create documents with docId and useCounter before other writes",
+    userMessage: "トランザクション内の処理の順序が不正です",
+  },
   VALIDATION_MISSING_PREFIX: {
     code: "VALIDATION/MISSING_PREFIX",
     message: "prefix is required",
@@ -60,21 +67,136 @@ export const ERRORS = {
     message: "invalid query type",
     userMessage: "クエリタイプが不正です",
   },
+  VALIDATION_INVALID_QUERY_TUPLE: {
+    code: "VALIDATION/INVALID_QUERY_TUPLE",
+    message: "malformed query constraint tuple",
+    userMessage: "クエリ条件の形式が不正です",
+  },
+  VALIDATION_INVALID_COMPOSITE_FILTER: {
+    code: "VALIDATION/INVALID_COMPOSITE_FILTER",
+    message: "or/and filters must contain where, or, and tuples",
+    userMessage: "複合条件の形式が不正です",
+  },
   VALIDATION_INVALID_LIMIT: {
     code: "VALIDATION/INVALID_LIMIT",
     message: "limit must be a positive number",
     userMessage: "limit は正の数でなければなりません",
   },
+  VALIDATION_INVALID_RESERVE_COUNT: {
+    code: "VALIDATION/INVALID_RESERVE_COUNT",
+    message: "count must be a positive integer",
+    userMessage: "確保する件数が不正です",
+  },
+  VALIDATION_INVALID_AUTONUMBER_SETTINGS: {
+    code: "VALIDATION/INVALID_AUTONUMBER_SETTINGS",
+    message:
+      "settings must be an object of status, length, prefix, format, resetPeriod or current",
+    userMessage: "採番設定が不正です",
+  },
+  VALIDATION_INVALID_SEARCH_OPTIONS: {
+    code: "VALIDATION/INVALID_SEARCH_OPTIONS",
+    message:
+      "search.maxTokens must be a positive integer and search.minScore between 0 and 1",
+    userMessage: "検索条件が不正です",
+  },
+  VALIDATION_INVALID_SUBSCRIPTION_NAME: {
+    code: "VALIDATION/INVALID_SUBSCRIPTION_NAME",
+    message: "name must be a non-empty string",
+    userMessage: "リスナーの名前が不正です",
+  },
+  VALIDATION_INVALID_RETRY_OPTIONS: {
+    code: "VALIDATION/INVALID_RETRY_OPTIONS",
+    message:
+      "retry must be a boolean or an object of non-negative retries, initialDelay and maxDelay",
+    userMessage: "再接続の設定が不正です",
+  },
+  VALIDATION_INVALID_SOURCE: {
+    code: "VALIDATION/INVALID_SOURCE",
+    message:
+      "source must be 'default', 'cache' or 'server' ('default' only in a transaction)",
+    userMessage: "データの取得元の指定が不正です",
+  },
+  VALIDATION_INVALID_LOCAL_CACHE: {
+    code: "VALIDATION/INVALID_LOCAL_CACHE",
+    message: "localCache must be 'memory', 'persistent' or { type, ... }",
+    userMessage: "キャッシュの設定が不正です",
+  },
+  VALIDATION_INVALID_EMULATORS: {
+    code: "VALIDATION/INVALID_EMULATORS",
+    message:
+      "emulators must be true or { firestore, auth, functions } with true, 'host:port' or { host, port }",
+    userMessage: "エミュレーターの設定が不正です",
+  },
+  VALIDATION_INVALID_LOGGER: {
+    code: "VALIDATION/INVALID_LOGGER",
+    message:
+      "logger must have console-like methods and logLevel must be 'debug', 'info', 'warn', 'error' or 'silent'",
+    userMessage: "ログの設定が不正です",
+  },
+  VALIDATION_INVALID_REPORT_OPTIONS: {
+    code: "VALIDATION/INVALID_REPORT_OPTIONS",
+    message:
+      "sampleSize must be a non-negative integer, countLimit a positive integer and exactCount a boolean",
+    userMessage: "依存関係レポートの設定が不正です",
+  },
   VALIDATION_INVALID_CONSTRAINTS: {
     code: "VALIDATION/INVALID_CONSTRAINTS",
     message: "invalid query constraints",
     userMessage: "クエリ条件が不正です",
   },
+  VALIDATION_INVALID_CURSOR: {
+    code: "VALIDATION/INVALID_CURSOR",
+    message: "cursor must be a value returned by fetchPage",
+    userMessage: "ページカーソルが不正です",
+  },
+  VALIDATION_INVALID_AGGREGATE: {
+    code: "VALIDATION/INVALID_AGGREGATE",
+    message: "aggregate must be 'count', 'sum' or 'average'",
+    userMessage: "集計条件が不正です",
+  },
+  VALIDATION_MISSING_AGGREGATE_FIELD: {
+    code: "VALIDATION/MISSING_AGGREGATE_FIELD",
+    message: "field is required for sum and average",
+    userMessage: "集計対象のフィールドが指定されていません",
+  },
   VALIDATION_EMPTY_SEARCH_STRING: {
     code: "VALIDATION/EMPTY_SEARCH_STRING",
     message: "search string cannot be empty",
     userMessage: "検索文字列を入力してください",
   },
+  VALIDATION_INVALID_INSTANCES: {
+    code: "VALIDATION/INVALID_INSTANCES",
+    message: "instances must be an array of model instances",
+    userMessage: "処理対象のデータが不正です",
+  },
+  VALIDATION_INVALID_BATCH_SIZE: {
+    code: "VALIDATION/INVALID_BATCH_SIZE",
+    message: "batchSize must be an integer between 1 and 500",
+    userMessage: "バッチサイズが不正です",
+  },
+  VALIDATION_INSTANCE_NOT_LOADED: {
+    code: "VALIDATION/INSTANCE_NOT_LOADED",
+    message:
+      "instance must be loaded from Firestore before a partial update or a version check",
+    userMessage: "更新対象のデータが読み込まれていません",
+  },
+  VALIDATION_TIMESTAMPS_PENDING: {
+    code: "VALIDATION/TIMESTAMPS_PENDING",
+    message:
+      "server timestamps of the instance must be resolved with resolveTimestamps() before a version check",
+    userMessage:
+      "保存した日時が確定していません。しばらくしてから再度お試しください",
+  },
+  VALIDATION_INVALID_DATE: {
+    code: "VALIDATION/INVALID_DATE",
+    message: "a valid Date is required",
+    userMessage: "日付が不正です",
+  },
+  VALIDATION_INVALID_CONFLICT_POLICY: {
+    code: "VALIDATION/INVALID_CONFLICT_POLICY",
+    message: "onConflict must be 'fail', 'overwrite' or 'newId'",
+    userMessage: "競合時の処理方法が不正です",
+  },
   VALIDATION_FIELD_ERROR: {
     code: "VALIDATION/FIELD_ERROR",
     message: "validation failed",
@@ -87,16 +209,42 @@ export const ERRORS = {
     message: "document not found",
     userMessage: "指定されたドキュメントが見つかりません",
   },
+  DATABASE_DOCUMENT_ALREADY_EXISTS: {
+    code: "DATABASE/DOCUMENT_ALREADY_EXISTS",
+    message: "document already exists",
+    userMessage: "同じIDのドキュメントが既に存在します",
+  },
   DATABASE_TRANSACTION_FAILED: {
     code: "DATABASE/TRANSACTION_FAILED",
     message: "transaction failed",
     userMessage: "データの更新に失敗しました",
   },
+  DATABASE_BATCH_FAILED: {
+    code: "DATABASE/BATCH_FAILED",
+    message: "batch write failed",
+    userMessage: "データの一括更新に失敗しました",
+  },
+  DATABASE_VERSION_CONFLICT: {
+    code: "DATABASE/VERSION_CONFLICT",
+    message: "document has been modified since it was loaded",
+    userMessage:
+      "他のユーザーによってデータが更新されています。最新のデータを読み込み直してください",
+  },
   DATABASE_QUERY_FAILED: {
     code: "DATABASE/QUERY_FAILED",
     message: "query execution failed",
     userMessage: "データの取得に失敗しました",
   },
+  DATABASE_LISTENER_FAILED: {
+    code: "DATABASE/LISTENER_FAILED",
+    message: "real-time listener stopped with an error",
+    userMessage: "データの監視が中断されました",
+  },
+  DATABASE_NOT_IN_CACHE: {
+    code: "DATABASE/NOT_IN_CACHE",
+    message: "document is not available in the local cache",
+    userMessage: "オフラインのため、データを取得できません",
+  },
   DATABASE_CONNECTION_ERROR: {
     code: "DATABASE/CONNECTION_ERROR",
     message: "database connection error",
@@ -109,6 +257,22 @@ export const ERRORS = {
     message: "child documents exist",
     userMessage: "関連するドキュメントが存在するため削除できません",
   },
+  BUSINESS_RESTORE_CONFLICT: {
+    code: "BUSINESS/RESTORE_CONFLICT",
+    message: "a document with the same docId already exists",
+    userMessage: "同じIDのドキュメントが既に存在するため復元できません",
+  },
+  BUSINESS_CASCADE_TOO_LARGE: {
+    code: "BUSINESS/CASCADE_TOO_LARGE",
+    message: "too many child documents to process in a single write",
+    userMessage: "関連するドキュメントが多すぎるため一度に削除できません",
+  },
+  BUSINESS_HAS_MANY_CONFIG_INVALID: {
+    code: "BUSINESS/HAS_MANY_CONFIG_INVALID",
+    message:
+      "onDelete of hasMany must be 'restrict', 'cascade' or 'clear', and 'cascade' requires the child model class",
+    userMessage: "関連ドキュメントの設定が不正です",
+  },
   BUSINESS_AUTONUMBER_DOCUMENT_NOT_FOUND: {
     code: "BUSINESS/AUTONUMBER_DOCUMENT_NOT_FOUND",
     message: "autonumber document not found",
@@ -124,6 +288,17 @@ export const ERRORS = {
     message: "autonumber maximum reached",
     userMessage: "採番の上限に達しています",
   },
+  BUSINESS_AUTONUMBER_CURRENT_TOO_LOW: {
+    code: "BUSINESS/AUTONUMBER_CURRENT_TOO_LOW",
+    message:
+      "autonumber current cannot be lower than the highest existing code",
+    userMessage: "既存のコードより小さい番号は設定できません",
+  },
+  BUSINESS_AUTONUMBER_LENGTH_TOO_SHORT: {
+    code: "BUSINESS/AUTONUMBER_LENGTH_TOO_SHORT",
+    message: "autonumber length cannot be shorter than the digits in use",
+    userMessage: "使用中の番号より短い桁数は設定できません",
+  },
   BUSINESS_AUTONUMBER_CONFIG_INVALID: {
     code: "BUSINESS/AUTONUMBER_CONFIG_INVALID",
     message: "useAutonumber configuration is invalid",
@@ -161,6 +336,12 @@ export const ERRORS = {
     message: "httpsCallable function is not initialized.",
     userMessage: "httpsCallable関数が初期化されていません",
   },
+  SYSTEM_EMULATOR_CONNECTION_FAILED: {
+    code: "SYSTEM/EMULATOR_CONNECTION_FAILED",
+    message:
+      "Failed to connect to the emulator. The service may already be in use.",
+    userMessage: "エミュレーターに接続できませんでした",
+  },
   SYSTEM_UNKNOWN_ERROR: {
     code: "SYSTEM/UNKNOWN_ERROR",
     message: "unknown error occurred",
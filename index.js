@@ -10,19 +10,2132 @@ import {
   doc,
   getDoc,
   runTransaction,
+  writeBatch,
   query,
   getDocs,
   where,
   orderBy,
   limit,
+  limitToLast,
+  startAt,
+  startAfter,
+  endAt,
+  endBefore,
+  or,
+  and,
+  getAggregateFromServer,
+  getCountFromServer,
+  count,
+  sum,
+  average,
+  documentId,
+  FieldPath,
+  deleteField,
+  serverTimestamp,
+  arrayRemove,
+  increment,
+  setDoc,
   collectionGroup,
   onSnapshot,
   getFirestore,
+  initializeFirestore,
+  connectFirestoreEmulator,
+  memoryLocalCache,
+  persistentLocalCache,
+  persistentSingleTabManager,
+  persistentMultipleTabManager,
+  getDocFromCache,
+  getDocFromServer,
+  getDocsFromCache,
+  getDocsFromServer,
   GeoPoint, // 2025-12-29 added
 } from "firebase/firestore";
-import { getAuth } from "firebase/auth";
-import { httpsCallable } from "firebase/functions"; // 2025-12-29 added
+import { getApp } from "firebase/app";
+import { getAuth, connectAuthEmulator } from "firebase/auth";
+import { httpsCallable, connectFunctionsEmulator } from "firebase/functions"; // 2025-12-29 added
 import { ClientAdapterError, ERRORS } from "./error.js";
+import { createTokens, selectTokens } from "./tokenMap.js";
+
+/*****************************************************************************
+ * Internal helpers
+ *****************************************************************************/
+
+/**
+ * `fetchPage` が返す不透明なページカーソルです。
+ * - 呼び出し側は中身を参照せず、そのまま `fetchPage` に渡してください。
+ */
+class PageCursor {
+  constructor(direction, snapshot) {
+    this.direction = direction;
+    this.snapshot = snapshot;
+    Object.freeze(this);
+  }
+}
+
+/** Cursor query functions keyed by the constraint type used in `createQueries`. */
+const CURSOR_CONSTRAINTS = { startAt, startAfter, endAt, endBefore };
+
+/**
+ * `where` / `or` / `and` のタプルからフィルタ条件を生成します。
+ * - `or` / `and` の要素は再帰的に解釈されます。
+ *
+ * @param {Array} tuple - e.g. `['where', 'age', '>=', 18]` or `['or', [...], [...]]`
+ * @returns {Object} Firestore filter constraint.
+ * @throws {ClientAdapterError} If the tuple is malformed.
+ */
+function createFilterConstraint(tuple) {
+  if (!Array.isArray(tuple)) {
+    throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_COMPOSITE_FILTER);
+  }
+
+  const [type, ...args] = tuple;
+
+  if (type === "where") {
+    const [field, op] = args;
+    if (args.length !== 3 || !field || typeof op !== "string") {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_QUERY_TUPLE);
+    }
+    return where(...args);
+  }
+
+  if (type === "or" || type === "and") {
+    if (args.length === 0) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_COMPOSITE_FILTER);
+    }
+    const filters = args.map((arg) => createFilterConstraint(arg));
+    return type === "or" ? or(...filters) : and(...filters);
+  }
+
+  throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_COMPOSITE_FILTER);
+}
+
+/**
+ * `or` / `and` の複合フィルタが含まれる場合、トップレベルのフィルタを 1 つの `and` にまとめます。
+ * - Firestore は複合フィルタと他のフィルタをトップレベルで併用できないためです。
+ *
+ * @param {Array<Object>} queryConstraints - Firestore query constraints.
+ * @returns {Array<Object>} Query constraints with at most one composite filter.
+ */
+function combineFilterConstraints(queryConstraints) {
+  const isFilter = ({ type }) => ["where", "or", "and"].includes(type);
+  const filters = queryConstraints.filter(isFilter);
+  const hasComposite = filters.some(({ type }) => type !== "where");
+
+  if (!hasComposite || filters.length < 2) return queryConstraints;
+
+  return [
+    and(...filters),
+    ...queryConstraints.filter((constraint) => !isFilter(constraint)),
+  ];
+}
+
+/**
+ * `constraints` と `options` から Firestore のクエリ条件配列を生成します。
+ * - `constraints` が文字列なら `tokenMap` による N-gram 検索条件に `options` を加えます。
+ *   `search` が指定されている場合、サーバーに送信するトークンは `search.maxTokens` 件までになります。
+ * - 配列なら通常のクエリ条件として扱います（`options` は無視されます）。
+ *
+ * @param {Object} model - FireModel instance (`this` of the adapter methods).
+ * @param {Array|string} constraints - Query condition array or search string.
+ * @param {Array} options - Additional query conditions for string search.
+ * @param {Object|null} [search=null] - Search settings resolved by `resolveSearch()`.
+ * @returns {Array<Object>} Firestore query constraints.
+ * @throws {ClientAdapterError} If `constraints` is neither a string nor an array.
+ */
+function resolveQueryConstraints(model, constraints, options, search = null) {
+  if (typeof constraints === "string") {
+    return combineFilterConstraints([
+      ...model.createTokenMapQueries(constraints, {
+        maxTokens: search?.maxTokens ?? null,
+      }),
+      ...model.createQueries(options),
+    ]);
+  }
+  if (Array.isArray(constraints)) {
+    return model.createQueries(constraints);
+  }
+  throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_CONSTRAINTS);
+}
+
+/** Default settings of the `search` argument of `fetchDocs` / `subscribeDocs`. */
+const DEFAULT_SEARCH_OPTIONS = { maxTokens: 10, minScore: 1, rank: false };
+
+/**
+ * 文字列検索の設定を解決します。
+ * - クライアント側での絞り込みはオプトインです。文字列検索でない場合、または `search` が
+ *   指定されていない（null / false）場合は null を返します（従来どおりすべてのトークンで検索します）。
+ * - `search` が true の場合は `DEFAULT_SEARCH_OPTIONS` を使用します。
+ *
+ * @param {Object} model - FireModel instance.
+ * @param {Array|string} constraints - Query condition array or search string.
+ * @param {Object|boolean|null} search - `true` or `{ maxTokens, minScore, rank }`.
+ * @returns {Object|null} Search settings with all tokens of the search string.
+ * @throws {ClientAdapterError} If the search settings are invalid.
+ */
+function resolveSearch(model, constraints, search) {
+  if (typeof constraints !== "string" || search == null || search === false) {
+    return null;
+  }
+  if (search !== true && !isPlainObject(search)) {
+    throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_SEARCH_OPTIONS);
+  }
+
+  const settings = {
+    ...DEFAULT_SEARCH_OPTIONS,
+    ...(search === true ? null : search),
+  };
+  if (
+    !Number.isInteger(settings.maxTokens) ||
+    settings.maxTokens <= 0 ||
+    typeof settings.minScore !== "number" ||
+    settings.minScore < 0 ||
+    settings.minScore > 1
+  ) {
+    throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_SEARCH_OPTIONS);
+  }
+
+  const tokens = createTokens(
+    constraints,
+    model.constructor?.tokenMapNormalization,
+  );
+  return { ...settings, tokens };
+}
+
+/**
+ * ドキュメントの `tokenMap` に含まれる検索トークンの割合（0 - 1）を返します。
+ */
+function scoreSnapshot(search, snapshot) {
+  if (search.tokens.length === 0) return 1;
+  const tokenMap = snapshot.get("tokenMap") || {};
+  const matched = search.tokens.filter((token) => tokenMap[token] === true);
+  return matched.length / search.tokens.length;
+}
+
+/**
+ * 検索トークン全体に対するスコアが `minScore` 以上のスナップショットのみを返します。
+ * - `rank` が true の場合はスコアの高い順に並べ替えます（同じスコアはクエリの順序を維持します）。
+ *
+ * @param {Object|null} search - Search settings resolved by `resolveSearch()`.
+ * @param {Array<QueryDocumentSnapshot>} snapshots - Query results.
+ * @returns {Array<QueryDocumentSnapshot>} Refined snapshots.
+ */
+function refineSnapshots(search, snapshots) {
+  if (!search) return snapshots;
+  const scored = snapshots
+    .map((snapshot) => ({ snapshot, score: scoreSnapshot(search, snapshot) }))
+    .filter(({ score }) => score >= search.minScore);
+  if (search.rank) scored.sort((a, b) => b.score - a.score);
+  return scored.map(({ snapshot }) => snapshot);
+}
+
+/**
+ * 読み込み時点のインスタンスの状態（コンバーターでシリアライズした値）を保持します。
+ * - `fetch()` / `subscribe()` などで読み込まれたインスタンスの変更点を求めるために使用します。
+ */
+const loadedStates = new WeakMap();
+
+function isPlainObject(value) {
+  if (Object.prototype.toString.call(value) !== "[object Object]") {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function toMillis(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value?.toMillis === "function") return value.toMillis();
+  return undefined;
+}
+
+/**
+ * 2 つの値が Firestore に書き込む値として等しいかどうかを返します。
+ * - Date と Timestamp はミリ秒で比較し、配列・プレーンオブジェクトは再帰的に比較します。
+ * - `isEqual()` を持つ値（GeoPoint, DocumentReference など）はそれを使用して比較します。
+ */
+function isSameValue(a, b) {
+  if (a === b) return true;
+  if (Number.isNaN(a) && Number.isNaN(b)) return true;
+
+  const [aMillis, bMillis] = [toMillis(a), toMillis(b)];
+  if (aMillis !== undefined || bMillis !== undefined) {
+    return aMillis === bMillis;
+  }
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((v, i) => isSameValue(v, b[i]));
+  }
+
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => key in b && isSameValue(a[key], b[key]))
+    );
+  }
+
+  if (typeof a?.isEqual === "function" && a.constructor === b?.constructor) {
+    return a.isEqual(b);
+  }
+
+  return false;
+}
+
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, v]) => [key, cloneValue(v)]),
+    );
+  }
+  return value;
+}
+
+/**
+ * `before` と `after` の差分をフィールドパス単位で `changes` に追加します。
+ * - プレーンオブジェクト（マップ）は再帰的に比較し、ネストしたパスとして記録します。
+ * - 配列やその他の値は値全体を比較します。
+ */
+function diffValues(before, after, path, changes) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach((key) =>
+      diffValues(before[key], after[key], [...path, key], changes),
+    );
+    return changes;
+  }
+  if (!isSameValue(before, after)) {
+    changes.push({ path: path.join("."), fieldPath: path, before, after });
+  }
+  return changes;
+}
+
+/**
+ * インスタンスをコンバーターで Firestore に書き込む形式に変換します。
+ */
+function serializeInstance(instance) {
+  return instance.constructor.converter().toFirestore(instance);
+}
+
+/**
+ * インスタンスの現在の状態を読み込み時点の状態として記録します。
+ */
+function rememberLoadedState(instance) {
+  loadedStates.set(instance, cloneValue(serializeInstance(instance)));
+  return instance;
+}
+
+/**
+ * コンバーターを適用したスナップショットからインスタンスを取得し、読み込み時点の状態を記録します。
+ */
+function readSnapshot(snapshot) {
+  const instance = snapshot.data();
+  return instance ? rememberLoadedState(instance) : instance;
+}
+
+/**
+ * 読み込み時点から変更されたフィールドの一覧を返します。
+ * - 読み込まれていないインスタンスの場合は null を返します。
+ */
+function computeChanges(instance) {
+  if (!loadedStates.has(instance)) return null;
+  return diffValues(
+    loadedStates.get(instance),
+    serializeInstance(instance),
+    [],
+    [],
+  );
+}
+
+/**
+ * サーバータイムスタンプの確定を待っているインスタンスと、その書き込み先を保持します。
+ * - value: `{ docRef, fields }`（`docRef` はコンバーターを適用していない参照）
+ */
+const pendingTimestamps = new WeakMap();
+
+/**
+ * インスタンスを書き込むデータを返します。
+ * - サーバータイムスタンプを使用する場合、`fields` を `serverTimestamp()` に置き換えたデータを返し、
+ *   インスタンスを確定待ちとして記録します。
+ * - 使用しない場合はインスタンスをそのまま返します（コンバーターで変換されます）。
+ *
+ * @param {Object} instance - FireModel instance.
+ * @param {DocumentReference} docRef - Document reference with converter.
+ * @param {Array<string>} fields - Metadata fields to stamp (e.g. `['createdAt', 'updatedAt']`).
+ * @returns {{ref: DocumentReference, data: Object}} Reference and data to pass to `set()`.
+ */
+function prepareTimestampedWrite(instance, docRef, fields) {
+  if (!getAdapterState(instance).serverTimestamps) {
+    return { ref: docRef, data: instance };
+  }
+
+  const ref = docRef.withConverter(null);
+  pendingTimestamps.set(instance, { docRef: ref, fields });
+  return {
+    ref,
+    data: {
+      ...serializeInstance(instance),
+      ...Object.fromEntries(fields.map((field) => [field, serverTimestamp()])),
+    },
+  };
+}
+
+/**
+ * 確定待ちのサーバータイムスタンプをドキュメントから読み込み、インスタンスに反映します。
+ * - タイムスタンプがまだ確定していない場合（コミット前、オフラインなど）は何もしません。
+ *
+ * @param {Object} instance - FireModel instance.
+ * @returns {Promise<boolean>} True if the timestamps were resolved.
+ */
+async function resolvePendingTimestamps(instance) {
+  const pending = pendingTimestamps.get(instance);
+  if (!pending) return false;
+
+  const snapshot = await getDoc(pending.docRef);
+  const values = pending.fields.map((field) =>
+    snapshot.exists() ? snapshot.get(field) : null,
+  );
+  if (values.some((value) => typeof value?.toDate !== "function")) {
+    return false;
+  }
+
+  const loadedState = loadedStates.get(instance);
+  pending.fields.forEach((field, i) => {
+    instance[field] = values[i].toDate();
+    if (loadedState) loadedState[field] = cloneValue(instance[field]);
+  });
+  pendingTimestamps.delete(instance);
+  return true;
+}
+
+/**
+ * コミット済みの書き込みについて、確定待ちのサーバータイムスタンプの解決を試みます。
+ * - 書き込み自体は完了しているため、読み込みに失敗してもエラーにはせず、警告を出力して確定待ちのままにします。
+ *   （`resolveTimestamps()` で再試行できます）
+ *
+ * @param {Object} instance - FireModel instance.
+ * @param {string} operation - Method name.
+ * @returns {Promise<void>}
+ */
+async function tryResolvePendingTimestamps(instance, operation) {
+  try {
+    await resolvePendingTimestamps(instance);
+  } catch (err) {
+    logWarning(
+      getAdapterState(instance),
+      "Failed to read the server timestamps. Call resolveTimestamps() to retry.",
+      {
+        legacyPrefix: "ClientAdapter",
+        operation,
+        docId: instance.docId,
+        code: err?.code ?? null,
+        error: err,
+      },
+    );
+  }
+}
+
+/** Fields added to archived documents by `delete()` when `logicalDelete` is enabled. */
+const ARCHIVE_METADATA_FIELDS = ["deletedAt", "deletedBy"];
+
+/**
+ * アーカイブするドキュメントに付与する削除情報を返します。
+ */
+function createArchiveMetadata(model) {
+  const { serverTimestamps, auth } = getAdapterState(model);
+  return {
+    deletedAt: serverTimestamps ? serverTimestamp() : new Date(),
+    deletedBy: auth?.currentUser?.uid || "unknown",
+  };
+}
+
+/**
+ * アーカイブのスナップショットからインスタンスを取得し、削除情報（`deletedAt`, `deletedBy`）を付与します。
+ * - 削除情報を持たないアーカイブ（この機能の追加前に削除されたもの）は null になります。
+ */
+function readArchivedSnapshot(snapshot) {
+  const instance = snapshot.data();
+  instance.deletedAt = snapshot.get("deletedAt")?.toDate?.() ?? null;
+  instance.deletedBy = snapshot.get("deletedBy") ?? null;
+  return instance;
+}
+
+/**
+ * 楽観的排他制御に使用するフィールド名を返します。
+ * - `option`（メソッド引数）が未指定の場合はクラスの `optimisticLock` を使用します。
+ * - `true` の場合は `updatedAt`、`{ field: 'version' }` の場合は指定されたフィールドを使用します。
+ *
+ * @param {Object} model - FireModel instance.
+ * @param {boolean|Object|undefined} option - `optimisticLock` argument of the method.
+ * @returns {string|null} Field name, or null if optimistic locking is disabled.
+ */
+function resolveLockField(model, option) {
+  const config = option ?? model.constructor.optimisticLock;
+  if (!config) return null;
+  return config?.field || "updatedAt";
+}
+
+/**
+ * 読み込み時点のバージョンと、トランザクション内で読み込んだドキュメントのバージョンを比較します。
+ * - 読み込まれていないインスタンスは比較するバージョンを持たないため、エラーになります。
+ * - サーバータイムスタンプが確定していないフィールドは、確定するまで比較できないためエラーになります。
+ *
+ * @param {Object} model - FireModel instance.
+ * @param {DocumentSnapshot} snapshot - Snapshot read inside the transaction.
+ * @param {string} field - Version field name.
+ * @returns {any} The stored version.
+ * @throws {ClientAdapterError} If the instance has not been loaded, its version is a pending
+ *                              server timestamp, the document does not exist or the versions differ.
+ */
+function assertLoadedVersion(model, snapshot, field) {
+  const loadedState = loadedStates.get(model);
+  if (!loadedState) {
+    throw new ClientAdapterError(ERRORS.VALIDATION_INSTANCE_NOT_LOADED, null, {
+      field,
+    });
+  }
+
+  if (!snapshot.exists()) {
+    throw new ClientAdapterError(ERRORS.DATABASE_DOCUMENT_NOT_FOUND);
+  }
+
+  // Until the server timestamp is read back, the loaded value is only the
+  // client time and would never match the stored one.
+  if (pendingTimestamps.get(model)?.fields.includes(field)) {
+    throw new ClientAdapterError(ERRORS.VALIDATION_TIMESTAMPS_PENDING, null, {
+      field,
+    });
+  }
+
+  const expected = loadedState[field];
+  const actual = snapshot.get(field);
+
+  if (!isSameValue(expected, actual)) {
+    throw new ClientAdapterError(ERRORS.DATABASE_VERSION_CONFLICT, null, {
+      field,
+      expected,
+      actual,
+    });
+  }
+
+  return actual;
+}
+
+/** Reset periods supported by the autonumber counter. */
+const AUTONUMBER_RESET_PERIODS = ["none", "yearly", "monthly", "daily"];
+
+/**
+ * 採番カウンターのリセット単位に応じた期間キーを返します（例：`2026`, `2026-10`, `2026-10-18`）。
+ * - 日付はクライアントのローカル時刻で判定します。
+ * - リセットしない場合（`none`）は null を返します。
+ *
+ * @param {string} resetPeriod - `none`, `yearly`, `monthly` or `daily`.
+ * @param {Date} date - Date to derive the period from.
+ * @returns {string|null} Period key.
+ */
+function getAutonumberPeriodKey(resetPeriod, date) {
+  const yyyy = String(date.getFullYear());
+  const mm = String(date.getMonth() + 1).padStart(2, "0");
+  const dd = String(date.getDate()).padStart(2, "0");
+  switch (resetPeriod) {
+    case "yearly":
+      return yyyy;
+    case "monthly":
+      return `${yyyy}-${mm}`;
+    case "daily":
+      return `${yyyy}-${mm}-${dd}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * 採番設定と番号からコードを生成します。
+ * - `format` が未指定の場合は `prefix` + ゼロ埋めした番号を返します。
+ * - `format` には以下のトークンを使用できます。
+ *   `{YYYY}`, `{YY}`, `{MM}`, `{DD}`, `{PREFIX}`, `{SEQ}`（`length` 桁でゼロ埋めした番号）
+ * - 例：`'INV-{YYYY}-{MM}-{SEQ}'` -> `'INV-2026-10-0042'`
+ *
+ * @param {Object} data - Autonumber settings (`length`, `prefix`, `format`).
+ * @param {number} number - Sequence number.
+ * @param {Date} date - Date used for the date tokens.
+ * @returns {string} Generated code.
+ */
+function formatAutonumber(data, number, date) {
+  const seq = String(number).padStart(data.length, "0");
+  if (!data.format) return (data.prefix || "") + seq;
+
+  const tokens = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: String(date.getMonth() + 1).padStart(2, "0"),
+    DD: String(date.getDate()).padStart(2, "0"),
+    PREFIX: data.prefix || "",
+    SEQ: seq,
+  };
+  return data.format.replace(
+    /\{(YYYY|YY|MM|DD|PREFIX|SEQ)\}/g,
+    (_, token) => tokens[token],
+  );
+}
+
+/**
+ * `format` と `resetPeriod` の設定が正しいかどうかを返します。
+ */
+function isValidAutonumberFormat({ format, resetPeriod }) {
+  if (
+    format != null &&
+    (typeof format !== "string" || !format.includes("{SEQ}"))
+  ) {
+    return false;
+  }
+  return resetPeriod == null || AUTONUMBER_RESET_PERIODS.includes(resetPeriod);
+}
+
+/**
+ * 採番ドキュメントのパスを返します（例：`Companies/abc123/Autonumbers/Employees`）。
+ *
+ * @param {Object} model - FireModel instance.
+ * @param {string|null} prefix - Path prefix.
+ * @returns {string} Autonumber document path.
+ * @throws {ClientAdapterError} If prefix is missing.
+ */
+function getAutonumberPath(model, prefix) {
+  // Use FireModel's getEffectivePrefix to resolve prefix
+  const effectivePrefix = model.constructor.getEffectivePrefix(prefix);
+
+  if (!effectivePrefix) {
+    throw new ClientAdapterError(ERRORS.VALIDATION_MISSING_PREFIX);
+  }
+
+  // Get collection name from class (e.g., "Employees", "Customers")
+  const collectionName = model.constructor.collectionPath;
+
+  return `${effectivePrefix}Autonumbers/${collectionName}`;
+}
+
+/**
+ * クラスの `useAutonumber` の設定から採番ドキュメントの初期値を作成します。
+ *
+ * @param {Object} model - FireModel instance.
+ * @returns {Object} Initial autonumber document data.
+ * @throws {ClientAdapterError} If the class configuration is invalid.
+ */
+function createAutonumberData(model) {
+  const config = model.constructor.useAutonumber;
+
+  if (
+    !config ||
+    typeof config !== "object" ||
+    !isValidAutonumberFormat(config)
+  ) {
+    throw new ClientAdapterError(ERRORS.BUSINESS_AUTONUMBER_CONFIG_INVALID);
+  }
+
+  return {
+    current: 0,
+    length: config.length || 6,
+    field: config.field || "code",
+    prefix: config.prefix || "", // Code prefix (e.g., "E" for Employees)
+    format: config.format || null, // Code format (e.g., "INV-{YYYY}-{SEQ}")
+    resetPeriod: config.resetPeriod || "none",
+    status: true, // Always enabled on creation
+  };
+}
+
+/**
+ * 採番ドキュメントのスナップショットから採番状態を作成します。
+ * - ドキュメントが存在しない場合は、クラスの `useAutonumber` の設定から作成します。
+ * - リセット期間が変わっている場合、`current` は 0 になります。
+ *
+ * @param {Object} model - FireModel instance.
+ * @param {DocumentSnapshot} docSnap - Autonumber document snapshot.
+ * @param {Date} now - Date used for the reset period.
+ * @returns {{data: Object, exists: boolean, current: number, periodKey: string|null}}
+ * @throws {ClientAdapterError} If autonumber is disabled or invalid.
+ */
+function readAutonumberState(model, docSnap, now) {
+  if (!docSnap.exists()) {
+    const data = createAutonumberData(model);
+    return {
+      data,
+      exists: false,
+      current: 0,
+      periodKey: getAutonumberPeriodKey(data.resetPeriod, now),
+    };
+  }
+
+  // Document exists - use existing configuration
+  const data = docSnap.data();
+
+  // Check if autonumber is enabled
+  if (!data?.status) {
+    throw new ClientAdapterError(ERRORS.BUSINESS_AUTONUMBER_DISABLED);
+  }
+
+  if (!isValidAutonumberFormat(data)) {
+    throw new ClientAdapterError(ERRORS.BUSINESS_AUTONUMBER_CONFIG_INVALID);
+  }
+
+  // Restart the counter when the reset period has changed
+  const periodKey = getAutonumberPeriodKey(data.resetPeriod, now);
+  const current = (data.periodKey ?? null) === periodKey ? data.current : 0;
+
+  return { data, exists: true, current, periodKey };
+}
+
+/**
+ * トランザクションごとの採番状態を保持します。
+ * - key: Transaction, value: Map<採番ドキュメントのパス, 採番状態>
+ * - 同じトランザクション内で採番ドキュメントを再度読み込まず、連続した番号を割り当てるために使用します。
+ */
+const autonumberAllocations = new WeakMap();
+
+/**
+ * `ClientAdapter#runTransaction()` で実行中のトランザクションを保持します。
+ * - これらのトランザクションでは、採番ドキュメントの書き込みをコミット直前にまとめて行います。
+ */
+const managedTransactions = new WeakSet();
+
+/**
+ * トランザクションごとに、アダプターが書き込みを予約したドキュメントを保持します。
+ * - key: Transaction, value: Map<ドキュメントのパス, 書き込み後にドキュメントが存在するか>
+ * - Firestore のトランザクションは書き込みの後に読み込みができないため、
+ *   `create()` がドキュメントの存在を確認する際に使用します。
+ */
+const transactionWrites = new WeakMap();
+
+/**
+ * トランザクションで書き込みを予約したドキュメントを記録します。
+ *
+ * @param {Object} transaction - Firestore transaction.
+ * @param {Object} docRef - Written document reference.
+ * @param {boolean} exists - Whether the document exists after the write.
+ */
+function recordTransactionWrite(transaction, docRef, exists) {
+  if (!transactionWrites.has(transaction)) {
+    transactionWrites.set(transaction, new Map());
+  }
+  transactionWrites.get(transaction).set(docRef.path, exists);
+}
+
+/**
+ * トランザクション内でドキュメントが存在するかを返します。
+ * - 同じトランザクションで書き込み済みのドキュメントは、読み込まずに書き込み後の状態を返します。
+ * - 他のドキュメントの書き込みが既に予約されている場合は読み込みができないため、エラーをスローします。
+ *
+ * @param {Object} transaction - Firestore transaction.
+ * @param {Object} docRef - Document reference.
+ * @returns {Promise<boolean>} True if the document exists.
+ * @throws {ClientAdapterError} If the transaction already has other writes.
+ */
+async function existsInTransaction(transaction, docRef) {
+  const writes = transactionWrites.get(transaction);
+  if (writes?.has(docRef.path)) return writes.get(docRef.path);
+  if (writes?.size) {
+    throw new ClientAdapterError(ERRORS.VALIDATION_READ_AFTER_WRITE, null, {
+      path: docRef.path,
+    });
+  }
+  return (await transaction.get(docRef)).exists();
+}
+
+/**
+ * 採番ドキュメントを読み込み（同じトランザクション内では最初の 1 回のみ）、`count` 件の番号を割り当てます。
+ * - 採番ドキュメントが存在しない場合は、クラスの `useAutonumber` の設定から作成します。
+ * - 返される `write()` は、採番ドキュメントに割り当て済みの最後の番号を書き込みます。
+ *   同じトランザクション内で複数回割り当てた場合も、コミットされる値は最後の番号になります。
+ * - `runTransaction()` メソッドのトランザクションでは `write()` は書き込みを予約するだけで、
+ *   `flushAutonumberWrites()` がコミット直前に 1 回だけ書き込みます。
+ *
+ * @param {Object} model - FireModel instance.
+ * @param {Object} transaction - Firestore transaction.
+ * @param {string|null} prefix - Path prefix.
+ * @param {number} count - Number of codes to allocate.
+ * @returns {Promise<{field: string, codes: Array<string>, write: Function}>}
+ * @throws {ClientAdapterError} If prefix is missing or autonumber is invalid.
+ */
+async function allocateAutonumbers(model, transaction, prefix, count) {
+  // e.g., "Companies/abc123/Autonumbers/Employees"
+  const autonumberPath = getAutonumberPath(model, prefix);
+
+  if (!autonumberAllocations.has(transaction)) {
+    autonumberAllocations.set(transaction, new Map());
+  }
+  const allocations = autonumberAllocations.get(transaction);
+
+  if (!allocations.has(autonumberPath)) {
+    const docRef = doc(getAdapterState(model).firestore, autonumberPath);
+
+    // Get autonumber document
+    const docSnap = await transaction.get(docRef);
+    const now = new Date();
+
+    allocations.set(autonumberPath, {
+      docRef,
+      now,
+      ...readAutonumberState(model, docSnap, now),
+    });
+  }
+
+  const state = allocations.get(autonumberPath);
+
+  // Calculate new numbers
+  const first = state.current + 1;
+  const last = state.current + count;
+  const maxValue = Math.pow(10, state.data.length) - 1;
+
+  if (last > maxValue) {
+    throw new ClientAdapterError(ERRORS.BUSINESS_AUTONUMBER_MAX_REACHED);
+  }
+
+  state.current = last;
+
+  // Generate new codes with prefix (or format) and zero-padding
+  const codes = Array.from({ length: count }, (_, i) =>
+    formatAutonumber(state.data, first + i, state.now),
+  );
+
+  const write = () => {
+    if (managedTransactions.has(transaction)) {
+      state.dirty = true;
+    } else {
+      writeAutonumberState(transaction, state);
+    }
+  };
+
+  return { field: state.data.field, codes, write };
+}
+
+/**
+ * 採番状態を採番ドキュメントに書き込みます。
+ */
+function writeAutonumberState(transaction, state) {
+  const values = { current: state.current, periodKey: state.periodKey };
+  if (state.exists) {
+    transaction.update(state.docRef, values);
+  } else {
+    // Create the document with initial values
+    transaction.set(state.docRef, { ...state.data, ...values });
+  }
+}
+
+/**
+ * トランザクション内で予約された採番ドキュメントの書き込みを、採番ドキュメントごとに 1 回だけ行います。
+ *
+ * @param {Object} transaction - Firestore transaction.
+ */
+function flushAutonumberWrites(transaction) {
+  for (const state of autonumberAllocations.get(transaction)?.values() ?? []) {
+    if (state.dirty) writeAutonumberState(transaction, state);
+    state.dirty = false;
+  }
+}
+
+/** Settings that can be changed by `updateAutonumberSettings()`. */
+const AUTONUMBER_SETTING_KEYS = [
+  "status",
+  "length",
+  "prefix",
+  "format",
+  "resetPeriod",
+  "current",
+];
+
+/**
+ * 採番設定の変更内容が正しいかどうかを返します。
+ */
+function isValidAutonumberSettings(settings) {
+  if (!isPlainObject(settings)) return false;
+  const { status, length, prefix, format, resetPeriod, current } = settings;
+  return (
+    Object.keys(settings).every((key) =>
+      AUTONUMBER_SETTING_KEYS.includes(key),
+    ) &&
+    (status === undefined || typeof status === "boolean") &&
+    (length === undefined ||
+      (Number.isInteger(length) && length > 0 && length <= 15)) &&
+    (prefix === undefined || typeof prefix === "string") &&
+    (current === undefined || (Number.isInteger(current) && current >= 0)) &&
+    isValidAutonumberFormat({ format, resetPeriod })
+  );
+}
+
+/**
+ * 採番設定で生成されるコードのうち、番号より前の部分を返します。
+ * - 例：`{ format: 'INV-{YYYY}-{SEQ}' }` -> `'INV-2026-'`
+ */
+function getAutonumberStem(data, date) {
+  if (!data.format) return data.prefix || "";
+  const [head] = data.format.split("{SEQ}");
+  return formatAutonumber({ ...data, format: `${head}{SEQ}` }, 0, date).slice(
+    0,
+    -data.length,
+  );
+}
+
+/**
+ * 採番設定で生成されたコードのうち、既存ドキュメントで使用されている最大の番号と桁数を返します。
+ * - 現在の期間（`format` の日付トークン）と `prefix` が一致するコードのみを対象にします。
+ * - 桁数の異なるコード（例：`E999` と `E1000`）は文字列の順序では比較できないため、
+ *   該当するドキュメントをすべて読み込み、番号を数値として比較します。
+ *
+ * @param {Object} model - FireModel instance.
+ * @param {string|null} prefix - Path prefix.
+ * @param {Object} data - Autonumber settings.
+ * @param {Date} date - Date used for the date tokens.
+ * @returns {Promise<{highest: number, width: number}>} Highest sequence number in use and
+ *          the widest zero-padded number stored (both 0 if none).
+ */
+async function fetchHighestAutonumber(model, prefix, data, date) {
+  const stem = getAutonumberStem(data, date);
+  const colRef = collection(
+    getAdapterState(model).firestore,
+    model.constructor.getCollectionPath(prefix),
+  );
+  const constraints = stem
+    ? [where(data.field, ">=", stem), where(data.field, "<", `${stem}\uf8ff`)]
+    : [];
+  const snapshot = await getDocs(query(colRef, ...constraints));
+
+  return snapshot.docs.reduce(
+    (result, docSnap) => {
+      const code = docSnap.get(data.field);
+      const match =
+        typeof code === "string" && code.startsWith(stem)
+          ? code.slice(stem.length).match(/^\d+/)
+          : null;
+      if (!match) return result;
+      return {
+        highest: Math.max(result.highest, Number(match[0])),
+        width: Math.max(result.width, match[0].length),
+      };
+    },
+    { highest: 0, width: 0 },
+  );
+}
+
+/**
+ * インスタンスごとのリアルタイムリスナーを保持します。
+ * - key: FireModel instance, value: Map<name, entry>
+ * - 名前を指定しない `subscribe` / `subscribeDocs` は `null` をキーとして登録されます
+ *   （`this.listener` / `this.docs` を使用する従来のリスナーです）。
+ * - entry: `{ type, listener, docs, doc, state, error, metadata }`
+ */
+const subscriptions = new WeakMap();
+
+/**
+ * インスタンスのリスナーの Map を返します。
+ */
+function getSubscriptionMap(instance) {
+  if (!subscriptions.has(instance)) subscriptions.set(instance, new Map());
+  return subscriptions.get(instance);
+}
+
+/**
+ * `subscribe` / `subscribeDocs` の `name` が正しいかどうかを返します。
+ */
+function isValidSubscriptionName(name) {
+  return name === null || (typeof name === "string" && name.length > 0);
+}
+
+/** Default settings of the `retry` option of `subscribe` / `subscribeDocs`. */
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 5,
+  initialDelay: 1000,
+  maxDelay: 30000,
+};
+
+/** Firestore error codes that are worth retrying. */
+const TRANSIENT_ERROR_CODES = [
+  "unavailable",
+  "deadline-exceeded",
+  "resource-exhausted",
+  "aborted",
+  "internal",
+  "unknown",
+];
+
+/**
+ * `retry` オプションを解決します。
+ *
+ * @param {boolean|Object} retry - `true`, `false` or `{ retries, initialDelay, maxDelay }`.
+ * @returns {Object|null} Retry settings, or null if retry is disabled.
+ * @throws {ClientAdapterError} If the retry settings are invalid.
+ */
+function resolveRetry(retry) {
+  if (retry === false || retry == null) return null;
+  const settings =
+    retry === true
+      ? DEFAULT_RETRY_OPTIONS
+      : { ...DEFAULT_RETRY_OPTIONS, ...(isPlainObject(retry) ? retry : null) };
+  const isValid =
+    (retry === true || isPlainObject(retry)) &&
+    Number.isInteger(settings.retries) &&
+    settings.retries >= 0 &&
+    [settings.initialDelay, settings.maxDelay].every(
+      (value) => typeof value === "number" && value >= 0,
+    );
+  if (!isValid) {
+    throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_RETRY_OPTIONS);
+  }
+  return settings;
+}
+
+/**
+ * `onSnapshot` でリスナーを登録し、状態（`loading` / `ready` / `error`）とメタデータを entry に記録します。
+ * - リスナーがエラーで停止した場合、`ClientAdapterError`（`DATABASE/LISTENER_FAILED`）を `onError` に渡します。
+ * - `retry` が有効な場合、一時的なエラーの後に指数バックオフで再登録します。
+ *   再登録後の最初のスナップショットには `isFirst` として true が渡されます。
+ *
+ * @param {Object} entry - Subscription entry to record the state on.
+ * @param {DocumentReference|Query} ref - Target of the listener.
+ * @param {Function} onNext - `(snapshot, isFirst) => void`
+ * @param {Object} options
+ * @param {Function} options.onError - `(error) => void`
+ * @param {Function|null} options.onStateChange - `(state, error) => void`
+ * @param {Object|null} options.retry - Retry settings resolved by `resolveRetry()`.
+ * @returns {Function} Function that stops the listener and any pending retry.
+ */
+function listen(entry, ref, onNext, { onError, onStateChange, retry }) {
+  let stopSnapshot = null;
+  let timer = null;
+  let attempts = 0;
+
+  const setState = (state, error = null) => {
+    entry.state = state;
+    entry.error = error;
+    if (onStateChange) onStateChange(state, error);
+  };
+
+  const start = () => {
+    let isFirst = true;
+    stopSnapshot = onSnapshot(
+      ref,
+      (snapshot) => {
+        attempts = 0;
+        entry.metadata = {
+          fromCache: snapshot.metadata.fromCache,
+          hasPendingWrites: snapshot.metadata.hasPendingWrites,
+        };
+        onNext(snapshot, isFirst);
+        isFirst = false;
+        if (entry.state !== "ready") setState("ready");
+      },
+      (err) => {
+        // Firestore does not call the listener again after an error.
+        stopSnapshot = null;
+        const error = new ClientAdapterError(
+          ERRORS.DATABASE_LISTENER_FAILED,
+          err,
+        );
+        setState("error", error);
+        onError(error);
+
+        if (
+          retry &&
+          attempts < retry.retries &&
+          TRANSIENT_ERROR_CODES.includes(err.code)
+        ) {
+          const delay = Math.min(
+            retry.initialDelay * 2 ** attempts,
+            retry.maxDelay,
+          );
+          attempts++;
+          timer = setTimeout(() => {
+            timer = null;
+            setState("loading");
+            start();
+          }, delay);
+        }
+      },
+    );
+  };
+
+  setState("loading");
+  start();
+
+  return () => {
+    clearTimeout(timer);
+    timer = null;
+    if (stopSnapshot) stopSnapshot();
+    stopSnapshot = null;
+  };
+}
+
+/**
+ * クエリのスナップショットの変更を `docs` に反映する関数を生成します。
+ * - `docChanges` の `oldIndex` / `newIndex` を使用して、`docs` をクエリの順序と一致させます。
+ * - `search` が指定されている場合は、絞り込み条件に一致しなくなった（一致するようになった）
+ *   ドキュメントを `removed`（`added`）として扱います。`search.rank` が true の場合はスコア順に並べます。
+ *   絞り込みで除外されたドキュメントも含めたクエリ結果全体の順序を内部で保持します。
+ * - `isFirst` が true のスナップショット（リスナーの再登録後）では `docs` を再構築し、
+ *   存在しなくなったドキュメントを `removed`、内容または位置が変わったドキュメントを `modified` として扱います。
+ * - `callback` には `(item, type, { oldIndex, newIndex })` を渡します（`docs` 内の位置。存在しない場合は -1）。
+ *
+ * @param {Array<Object>} docs - Live document array.
+ * @param {Object|null} search - Search settings resolved by `resolveSearch()`.
+ * @param {Function|null} callback - `(item, type, { oldIndex, newIndex }) => void`
+ * @returns {Function} `(snapshot, isFirst) => void`
+ */
+function createDocChangesHandler(docs, search, callback) {
+  // Query results in the query's order: `{ id, visible, score }`.
+  let results = [];
+
+  const getVisibleOrder = () => {
+    const visible = results.filter((result) => result.visible);
+    if (search?.rank) visible.sort((a, b) => b.score - a.score);
+    return visible;
+  };
+
+  return (snapshot, isFirst) => {
+    let previous = null;
+    if (isFirst) {
+      // Report documents that no longer exist, then rebuild from the snapshot.
+      const ids = new Set(snapshot.docs.map(({ id }) => id));
+      docs
+        .filter(({ docId }) => !ids.has(docId))
+        .forEach((item) => {
+          const oldIndex = docs.indexOf(item);
+          docs.splice(oldIndex, 1);
+          if (callback) callback(item, "removed", { oldIndex, newIndex: -1 });
+        });
+      previous = new Map(
+        docs.map((item, index) => [item.docId, { index, item }]),
+      );
+      docs.splice(0);
+      results = [];
+    }
+
+    snapshot.docChanges().forEach((change) => {
+      const id = change.doc.id;
+      const item = readSnapshot(change.doc);
+      const score = search ? scoreSnapshot(search, change.doc) : 1;
+      const visible =
+        change.type !== "removed" && (!search || score >= search.minScore);
+
+      if (change.oldIndex !== -1) results.splice(change.oldIndex, 1);
+      if (change.newIndex !== -1) {
+        results.splice(change.newIndex, 0, { id, visible, score });
+      }
+
+      const currentIndex = docs.findIndex(({ docId }) => docId === id);
+      const before = previous?.get(id);
+      const oldIndex =
+        currentIndex !== -1 ? currentIndex : (before?.index ?? -1);
+      const newIndex = visible
+        ? getVisibleOrder().findIndex((result) => result.id === id)
+        : -1;
+
+      if (currentIndex !== -1) docs.splice(currentIndex, 1);
+      if (newIndex !== -1) docs.splice(newIndex, 0, item);
+
+      // Translate the change into the change of the refined array.
+      if (oldIndex === -1 && newIndex === -1) return;
+
+      // Documents that did not change while rebuilding are not reported.
+      if (
+        currentIndex === -1 &&
+        before?.index === newIndex &&
+        isSameValue(serializeInstance(before.item), serializeInstance(item))
+      ) {
+        return;
+      }
+
+      const type =
+        oldIndex === -1 ? "added" : newIndex === -1 ? "removed" : "modified";
+      if (callback) callback(item, type, { oldIndex, newIndex });
+    });
+  };
+}
+
+/** Maximum number of write operations Firestore accepts in one batch. */
+const MAX_BATCH_OPERATIONS = 500;
+
+/**
+ * インスタンスに `values` を設定し、元の状態に戻す関数を返します。
+ * - 一括処理で書き込まれなかったインスタンスを元に戻すために使用します。
+ *   （確定待ちのサーバータイムスタンプも元に戻します）
+ *
+ * @param {Object} instance - FireModel instance.
+ * @param {Object} values - Values to set.
+ * @returns {Function} Function that restores the previous values.
+ */
+function stampInstance(instance, values) {
+  const original = Object.keys(values).map((key) => [key, instance[key]]);
+  const pending = pendingTimestamps.get(instance);
+  Object.assign(instance, values);
+  return () => {
+    Object.assign(instance, Object.fromEntries(original));
+    if (pending) {
+      pendingTimestamps.set(instance, pending);
+    } else {
+      pendingTimestamps.delete(instance);
+    }
+  };
+}
+
+/**
+ * 複数のインスタンスに対する書き込みを、チャンクごとに分割して実行します。
+ * - `prepare(instance)` はインスタンスごとに呼び出され、`{ ref, check, writes, rollback }` を返します。
+ *   - `ref`: トランザクション内で読み込むドキュメント（不要な場合は null）。
+ *   - `check(snapshot)`: 読み込んだドキュメントを検査し、書き込めない場合はエラーをスローします（任意）。
+ *   - `writes`: `(transaction, snapshot) => void` の配列（バッチの場合は `(batch, null)`）。
+ *   - `rollback()`: 書き込まれなかった場合にインスタンスを元に戻します（任意）。
+ * - 読み込むドキュメントがあるチャンクはトランザクションで、ないチャンクは `writeBatch` で書き込みます。
+ *   トランザクションは読み込みの分だけ操作数が増え、競合した場合はチャンク全体が再実行されるためです。
+ * - `prepare` や `check` で失敗したインスタンスは書き込み対象から除外され、結果に失敗として記録されます。
+ * - 書き込みに失敗した場合、そのチャンクに含まれるインスタンスのみ失敗として記録し、後続のチャンクは続行します。
+ *
+ * @param {string} operation - Operation name used for error output.
+ * @param {Array<Object>} instances - FireModel instances.
+ * @param {number} batchSize - Maximum write operations per chunk.
+ * @param {Function} prepare - `async (instance) => { ref, check, writes, rollback }`
+ * @returns {Promise<Object>} `{ results, successCount, failureCount }`
+ */
+async function runBulkWrite(operation, instances, batchSize, prepare) {
+  if (!Array.isArray(instances) || instances.some((i) => !i)) {
+    throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_INSTANCES);
+  }
+  if (
+    !Number.isInteger(batchSize) ||
+    batchSize <= 0 ||
+    batchSize > MAX_BATCH_OPERATIONS
+  ) {
+    throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_BATCH_SIZE);
+  }
+
+  const results = instances.map((instance, index) => ({
+    index,
+    instance,
+    docId: instance.docId || null,
+    success: false,
+    error: null,
+    chunk: null,
+  }));
+
+  // Run hooks and validation, and collect writes for each instance.
+  const prepared = [];
+  for (const result of results) {
+    try {
+      const item = await prepare(result.instance);
+      result.docId = result.instance.docId;
+      prepared.push({ result, ...item });
+    } catch (err) {
+      if (err instanceof ClientAdapterError || err.name === "ValidationError") {
+        result.error = err;
+      } else {
+        logError(result.instance, operation, err);
+        result.error = new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
+      }
+    }
+  }
+
+  // Split into chunks so that no transaction exceeds `batchSize` operations.
+  const chunks = [];
+  for (const item of prepared) {
+    const current = chunks[chunks.length - 1];
+    const operations = current?.reduce((n, { writes }) => n + writes.length, 0);
+    if (!current || operations + item.writes.length > batchSize) {
+      chunks.push([item]);
+    } else {
+      current.push(item);
+    }
+  }
+
+  for (const [chunkIndex, chunk] of chunks.entries()) {
+    chunk.forEach(({ result }) => (result.chunk = chunkIndex));
+
+    // Errors of `check` are collected per attempt, as the transaction may be retried.
+    let rejected = new Map();
+    try {
+      const { firestore } = getAdapterState(chunk[0].result.instance);
+      if (chunk.some(({ ref }) => ref)) {
+        await runTransaction(firestore, async (txn) => {
+          rejected = new Map();
+          const snapshots = [];
+          for (const { ref } of chunk) {
+            snapshots.push(ref ? await txn.get(ref) : null);
+          }
+          chunk.forEach((item, i) => {
+            try {
+              item.check?.(snapshots[i]);
+            } catch (err) {
+              rejected.set(item, err);
+              return;
+            }
+            item.writes.forEach((write) => write(txn, snapshots[i]));
+          });
+        });
+      } else {
+        // Nothing to read, so a batch is enough (and is never retried).
+        const batch = writeBatch(firestore);
+        chunk.forEach(({ writes }) =>
+          writes.forEach((write) => write(batch, null)),
+        );
+        await batch.commit();
+      }
+      chunk.forEach((item) => {
+        if (rejected.has(item)) {
+          item.result.error = rejected.get(item);
+          item.rollback?.();
+        } else {
+          item.result.success = true;
+        }
+      });
+    } catch (err) {
+      logError(chunk[0].result.instance, operation, err);
+      const error = new ClientAdapterError(ERRORS.DATABASE_BATCH_FAILED, err);
+      chunk.forEach((item) => {
+        item.result.error = error;
+        item.rollback?.();
+      });
+    }
+  }
+
+  const successCount = results.filter(({ success }) => success).length;
+  return {
+    results,
+    successCount,
+    failureCount: results.length - successCount,
+  };
+}
+
+/** Policies that a `hasMany` entry can declare with `onDelete`. */
+const DELETE_POLICIES = ["restrict", "cascade", "clear"];
+
+/**
+ * Child writes applied in the parent's transaction at most.
+ * - Larger sets are refused, or written in batches before the parent is deleted
+ *   when `delete()` is called with `allowNonAtomic: true`.
+ * - Leaves room for the parent's own deletion, archive and counter update.
+ */
+const MAX_CASCADE_WRITES_IN_TRANSACTION = MAX_BATCH_OPERATIONS - 3;
+
+/**
+ * `hasMany` の設定から、このドキュメントを参照しているドキュメントを検索するクエリを生成します。
+ * - `type` が `collection` の場合、`prefix` をコレクションパスに適用します。
+ *
+ * @param {Object} model - FireModel instance.
+ * @param {Object} item - `hasMany` entry.
+ * @param {string|null} prefix - Optional path prefix.
+ * @returns {Query} Query for the referencing documents.
+ */
+function createHasManyQuery(model, item, prefix) {
+  const collectionPath =
+    item.type === "collection" && prefix
+      ? `${prefix}${item.collectionPath}`
+      : item.collectionPath;
+  const { firestore } = getAdapterState(model);
+  const colRef =
+    item.type === "collection"
+      ? collection(firestore, collectionPath)
+      : collectionGroup(firestore, item.collectionPath);
+  return query(colRef, where(item.field, item.condition, model.docId));
+}
+
+/**
+ * `hasMany` の設定が正しいかどうかを返します。
+ * - `cascade` では、子ドキュメントの `logicalDelete` と `hasMany` を解決するため `model`（子モデルのクラス）が必要です。
+ */
+function isValidHasManyItem(item) {
+  const policy = item.onDelete || "restrict";
+  return (
+    DELETE_POLICIES.includes(policy) &&
+    (policy !== "cascade" || typeof item.model === "function")
+  );
+}
+
+/**
+ * `hasMany` の各設定について、このドキュメントを参照しているドキュメントを取得します。
+ * - `restrict` の設定は存在確認のみのため、`restrictLimit` 件までしか取得しません。
+ * - `cascade` で削除されるドキュメントについては、子モデル（`model`）の `hasMany` に従って
+ *   参照しているドキュメントを再帰的に取得し、`children` に格納します。
+ * - 同じドキュメントは一度だけ `cascade` / `clear` の対象になります。
+ *
+ * [NOTE]
+ * - クライアント SDK の transaction.get() は Query に対応していないため、取得はトランザクションの外で行われます。
+ *   取得後に他のプロセスから追加・変更された参照ドキュメントは反映されません（`hasChild()` と同様）。
+ *
+ * @param {Object} model - FireModel instance (or `{ constructor, docId }` of a child document).
+ * @param {string|null} prefix - Optional path prefix.
+ * @param {Object} [options]
+ * @param {number|null} [options.restrictLimit=1] - Max documents fetched for `restrict` (null for all).
+ * @param {Set<string>} [visited] - Paths of the documents already handled.
+ * @returns {Promise<Array<{item: Object, policy: string, snapshots: Array<QueryDocumentSnapshot>, children: Array<Object>|null}>>}
+ *          `children` has `{ target, path, dependents }` per snapshot for `cascade`.
+ * @throws {ClientAdapterError} If a `hasMany` entry is invalid.
+ */
+async function collectDependents(
+  model,
+  prefix,
+  { restrictLimit = 1 } = {},
+  visited = new Set(),
+) {
+  const dependents = [];
+  for (const item of model.constructor.hasMany || []) {
+    if (!isValidHasManyItem(item)) {
+      throw new ClientAdapterError(ERRORS.BUSINESS_HAS_MANY_CONFIG_INVALID);
+    }
+    const policy = item.onDelete || "restrict";
+
+    const queryRef = createHasManyQuery(model, item, prefix);
+    const snapshot = await getDocs(
+      policy === "restrict" && restrictLimit
+        ? query(queryRef, limit(restrictLimit))
+        : queryRef,
+    );
+    if (policy === "restrict") {
+      dependents.push({
+        item,
+        policy,
+        snapshots: snapshot.docs,
+        children: null,
+      });
+      continue;
+    }
+
+    const snapshots = snapshot.docs.filter(({ ref }) => !visited.has(ref.path));
+    snapshots.forEach(({ ref }) => visited.add(ref.path));
+
+    let children = null;
+    if (policy === "cascade") {
+      children = [];
+      for (const { id, ref } of snapshots) {
+        const target = { constructor: item.model, docId: id };
+        children.push({
+          target,
+          path: ref.path,
+          dependents: await collectDependents(
+            target,
+            prefix,
+            { restrictLimit },
+            visited,
+          ),
+        });
+      }
+    }
+    dependents.push({ item, policy, snapshots, children });
+  }
+  return dependents;
+}
+
+/** Options of the dependency report attached to `BUSINESS/CHILD_DOCUMENTS_EXIST`. */
+const DEFAULT_REPORT_OPTIONS = {
+  sampleSize: 5,
+  exactCount: false,
+  countLimit: 100,
+};
+
+/**
+ * 依存関係レポートのオプションが正しいかどうかを返します。
+ *
+ * @param {Object} options - `{ sampleSize, exactCount, countLimit }`
+ * @returns {boolean}
+ */
+function isValidReportOptions({ sampleSize, exactCount, countLimit }) {
+  return (
+    Number.isInteger(sampleSize) &&
+    sampleSize >= 0 &&
+    typeof exactCount === "boolean" &&
+    Number.isInteger(countLimit) &&
+    countLimit > 0
+  );
+}
+
+/**
+ * `hasMany` の各設定について、このドキュメントへの依存状況をまとめたレポートを生成します。
+ *
+ * @param {Object} model - FireModel instance.
+ * @param {string|null} prefix - Optional path prefix.
+ * @param {Object} options
+ * @param {number} options.sampleSize - Max number of sample document IDs per relation.
+ * @param {boolean} options.exactCount - Count all dependents instead of capping at `countLimit`.
+ * @param {number} options.countLimit - Cap for the count when `exactCount` is false.
+ * @returns {Promise<Object>} `{ hasDependents, blocking, relations }`
+ */
+async function buildDependencyReport(
+  model,
+  prefix,
+  { sampleSize, exactCount, countLimit },
+) {
+  const relations = [];
+  for (const item of model.constructor.hasMany || []) {
+    const queryRef = createHasManyQuery(model, item, prefix);
+
+    const [countSnapshot, sampleSnapshot] = await Promise.all([
+      getCountFromServer(
+        exactCount ? queryRef : query(queryRef, limit(countLimit + 1)),
+      ),
+      sampleSize > 0
+        ? getDocs(query(queryRef, limit(sampleSize)))
+        : Promise.resolve({ docs: [] }),
+    ]);
+
+    const total = countSnapshot.data().count;
+    const capped = !exactCount && total > countLimit;
+
+    relations.push({
+      collectionPath: item.collectionPath,
+      type: item.type,
+      field: item.field,
+      condition: item.condition,
+      onDelete: item.onDelete || "restrict",
+      exists: total > 0,
+      count: capped ? countLimit : total,
+      capped,
+      sampleDocIds: sampleSnapshot.docs.map(({ id }) => id),
+    });
+  }
+
+  return {
+    hasDependents: relations.some(({ exists }) => exists),
+    blocking: relations.some(
+      ({ exists, onDelete }) => exists && onDelete === "restrict",
+    ),
+    relations,
+  };
+}
+
+/**
+ * `restrict` の設定で参照されているために削除できないドキュメントを返します。
+ * - `cascade` で削除される子ドキュメントも対象です。
+ *
+ * @param {Object} model - FireModel instance being deleted.
+ * @param {Array<Object>} dependents - Result of `collectDependents`.
+ * @param {string|null} [path=null] - Path of `model` (null for the document being deleted).
+ * @returns {{target: Object, path: string|null}|null} The blocked document, or null if none.
+ */
+function findRestricted(model, dependents, path = null) {
+  for (const { policy, snapshots, children } of dependents) {
+    if (policy === "restrict" && snapshots.length > 0) {
+      return { target: model, path };
+    }
+    for (const child of children || []) {
+      const found = findRestricted(child.target, child.dependents, child.path);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * 削除できない場合に `BUSINESS/CHILD_DOCUMENTS_EXIST` をスローします。
+ * - `details.report` には、削除を妨げているドキュメントの `getDependencyReport()` と同じ形式のレポートが入ります。
+ * - `details.path` は削除を妨げているドキュメントのパスです（削除対象自身の場合は null）。
+ */
+async function assertNotRestricted(model, dependents, prefix) {
+  const restricted = findRestricted(model, dependents);
+  if (!restricted) return;
+
+  const report = await buildDependencyReport(
+    restricted.target,
+    prefix,
+    DEFAULT_REPORT_OPTIONS,
+  );
+  throw new ClientAdapterError(ERRORS.BUSINESS_CHILD_DOCUMENTS_EXIST, null, {
+    report,
+    path: restricted.path,
+  });
+}
+
+/**
+ * `cascade` / `clear` の設定に従って、参照しているドキュメントへの書き込みを生成します。
+ * - 返される関数は Transaction / WriteBatch のどちらにも適用できます。
+ * - `cascade` では、子ドキュメントの参照元（孫ドキュメント）を先に処理してから削除します。
+ *   子モデルの `logicalDelete` が true の場合、削除前にアーカイブします。
+ * - `clear` では参照フィールドを `clearValue`（既定は null）にします
+ *   （`array-contains` の場合は配列から取り除きます）。
+ *
+ * @param {Object} model - FireModel instance being deleted.
+ * @param {Array<Object>} dependents - Result of `collectDependents`.
+ * @returns {Array<Function>} `(writer) => void`
+ */
+function createDependentWrites(model, dependents) {
+  return dependents.flatMap(({ item, policy, snapshots, children }) => {
+    if (policy === "cascade") {
+      return snapshots.flatMap((snapshot, i) => {
+        const { target, dependents: grandchildren } = children[i];
+        const writes = [
+          ...createDependentWrites(target, grandchildren),
+          (writer) => writer.delete(snapshot.ref),
+        ];
+        if (item.model.logicalDelete) {
+          const archiveDocRef = doc(
+            snapshot.ref.firestore,
+            `${snapshot.ref.parent.path}_archive`,
+            snapshot.id,
+          );
+          const data = {
+            ...snapshot.data(),
+            ...createArchiveMetadata(target),
+          };
+          writes.splice(-1, 0, (writer) => writer.set(archiveDocRef, data));
+        }
+        return writes;
+      });
+    }
+    if (policy === "clear") {
+      const value = item.condition.startsWith("array-contains")
+        ? arrayRemove(model.docId)
+        : (item.clearValue ?? null);
+      return snapshots.map(
+        (snapshot) => (writer) =>
+          writer.update(snapshot.ref, item.field, value),
+      );
+    }
+    return [];
+  });
+}
+
+/**
+ * 書き込みを WriteBatch に分割してコミットします。
+ */
+async function commitInBatches(model, writes) {
+  for (let i = 0; i < writes.length; i += MAX_BATCH_OPERATIONS) {
+    const batch = writeBatch(getAdapterState(model).firestore);
+    writes.slice(i, i + MAX_BATCH_OPERATIONS).forEach((write) => write(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * コレクションのドキュメント数を保持するカウンタードキュメントの参照とフィールド名を返します。
+ * - `Companies/abc123/Customers` -> `Companies/abc123/meta/docCounter` の `Customers`
+ * - `Customers` -> `meta/docCounter` の `Customers`
+ *
+ * @param {Object} model - FireModel instance.
+ * @param {string} collectionPath - Collection path.
+ * @returns {{docRef: DocumentReference, field: string}}
+ */
+function getCounterTarget(model, collectionPath) {
+  // Last segment is collection name
+  const segments = collectionPath.split("/");
+  const field = segments.pop();
+  const docPath = [...segments, "meta", "docCounter"].join("/");
+  return { docRef: doc(getAdapterState(model).firestore, docPath), field };
+}
+
+/**
+ * カウンタードキュメントを `delta` だけ増減する書き込みを返します。
+ * - クラスの `useCounter` が true でない場合は null を返します。
+ * - `set(merge)` と `increment` を使用するため、事前の読み込みは不要です。
+ *   トランザクション内で他の書き込みの後に呼び出しても問題ありません。
+ *
+ * @param {Object} model - FireModel instance.
+ * @param {string|null} prefix - Path prefix.
+ * @param {number} delta - Amount to add (negative to subtract).
+ * @returns {Function|null} `(writer) => void` for a transaction or a batch.
+ */
+function createCounterWrite(model, prefix, delta) {
+  if (model.constructor.useCounter !== true) return null;
+  const { docRef, field } = getCounterTarget(
+    model,
+    model.constructor.getCollectionPath(prefix),
+  );
+  return (writer) =>
+    writer.set(docRef, { [field]: increment(delta) }, { merge: true });
+}
+
+/** Aggregate functions keyed by the aggregation type used in `fetchAggregate`. */
+const AGGREGATE_FUNCTIONS = { count, sum, average };
+
+/**
+ * 集計クエリを実行し、集計結果をプレーンな値で返します。
+ *
+ * @param {Object} model - FireModel instance (`this` of the adapter methods).
+ * @param {Object} aggregates - e.g. `{ total: ['sum', 'amount'], n: ['count'] }`
+ * @param {Object} args - `constraints`, `options` and `prefix` as in `fetchDocs`.
+ * @returns {Promise<Object>} Aggregation results keyed by the same aliases.
+ * @throws {ClientAdapterError} If the aggregation spec or constraints are invalid.
+ */
+async function runAggregation(
+  model,
+  aggregates,
+  { constraints = [], options = [], prefix = null } = {},
+) {
+  if (
+    !aggregates ||
+    typeof aggregates !== "object" ||
+    Object.keys(aggregates).length === 0
+  ) {
+    throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_AGGREGATE);
+  }
+
+  const aggregateSpec = {};
+  for (const [alias, spec] of Object.entries(aggregates)) {
+    const [type, field] = Array.isArray(spec) ? spec : [];
+    if (!AGGREGATE_FUNCTIONS[type]) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_AGGREGATE);
+    }
+    if (type !== "count" && (typeof field !== "string" || !field)) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_MISSING_AGGREGATE_FIELD);
+    }
+    aggregateSpec[alias] = AGGREGATE_FUNCTIONS[type](field);
+  }
+
+  const queryConstraints = resolveQueryConstraints(model, constraints, options);
+
+  const collectionPath = model.constructor.getCollectionPath(prefix);
+  const colRef = collection(getAdapterState(model).firestore, collectionPath);
+  const snapshot = await getAggregateFromServer(
+    query(colRef, ...queryConstraints),
+    aggregateSpec,
+  );
+
+  return snapshot.data();
+}
+
+/** Sources accepted by the `source` option of the fetch methods. */
+const READ_SOURCES = ["default", "cache", "server"];
+
+/**
+ * `source` オプションが正しいかどうかを確認します。
+ * - トランザクション内の読み込みでは `default` 以外を指定できません。
+ */
+function assertReadSource(source, transaction) {
+  if (!READ_SOURCES.includes(source) || (transaction && source !== "default")) {
+    throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_SOURCE);
+  }
+}
+
+/**
+ * 読み込み元の指定に応じて読み込み関数を実行し、Firestore のエラーを変換します。
+ * - `cache`: キャッシュに存在しない場合は `DATABASE/NOT_IN_CACHE` をスローします。
+ * - `server`: サーバーに接続できない場合は `DATABASE/CONNECTION_ERROR` をスローします。
+ *
+ * @param {string} source - `default`, `cache` or `server`.
+ * @param {Object} readers - `{ default, cache, server }` functions returning a Promise.
+ * @returns {Promise<DocumentSnapshot|QuerySnapshot>}
+ */
+async function readFromSource(source, readers) {
+  try {
+    return await readers[source]();
+  } catch (err) {
+    if (err.code === "unavailable" && source === "cache") {
+      throw new ClientAdapterError(ERRORS.DATABASE_NOT_IN_CACHE, err);
+    }
+    if (err.code === "unavailable" && source === "server") {
+      throw new ClientAdapterError(ERRORS.DATABASE_CONNECTION_ERROR, err);
+    }
+    throw err;
+  }
+}
+
+/**
+ * ドキュメントを指定された読み込み元から取得します。
+ */
+function getDocFromSource(docRef, source) {
+  return readFromSource(source, {
+    default: () => getDoc(docRef),
+    cache: () => getDocFromCache(docRef),
+    server: () => getDocFromServer(docRef),
+  });
+}
+
+/**
+ * クエリを指定された読み込み元から実行します。
+ */
+function getDocsFromSource(queryRef, source) {
+  return readFromSource(source, {
+    default: () => getDocs(queryRef),
+    cache: () => getDocsFromCache(queryRef),
+    server: () => getDocsFromServer(queryRef),
+  });
+}
+
+/**
+ * Database ids (per app) whose Firestore has been initialized with `localCache`
+ * by the adapter.
+ */
+const localCacheDatabases = new WeakMap();
+
+/**
+ * `localCache` オプションから Firestore のローカルキャッシュ設定を生成します。
+ *
+ * @param {string|Object} localCache - `'memory'`, `'persistent'` or
+ *        `{ type: 'persistent', multiTab, cacheSizeBytes }`.
+ * @returns {Object} Firestore local cache settings.
+ * @throws {ClientAdapterError} If the option is invalid.
+ */
+function createLocalCache(localCache) {
+  const settings =
+    typeof localCache === "string" ? { type: localCache } : localCache;
+  if (settings?.type === "memory") return memoryLocalCache();
+  if (settings?.type === "persistent") {
+    return persistentLocalCache({
+      tabManager: settings.multiTab
+        ? persistentMultipleTabManager()
+        : persistentSingleTabManager(),
+      ...(settings.cacheSizeBytes
+        ? { cacheSizeBytes: settings.cacheSizeBytes }
+        : {}),
+    });
+  }
+  throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_LOCAL_CACHE);
+}
+
+/** Log levels in ascending order of severity. */
+const LOG_LEVELS = Object.freeze({
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+});
+
+/**
+ * Console methods forwarded as-is (except in `silent`) by the logger of `createLogger()`,
+ * so that FireModel can use any of them through `adapter.logger`.
+ */
+const FORWARDED_CONSOLE_METHODS = [
+  "assert",
+  "count",
+  "countReset",
+  "dir",
+  "dirxml",
+  "group",
+  "groupCollapsed",
+  "groupEnd",
+  "table",
+  "time",
+  "timeEnd",
+  "timeLog",
+  "trace",
+];
+
+/**
+ * ログの出力先をラップし、ログレベルによる抑制と名前空間の付与を行うロガーを生成します。
+ * - 出力先は `console` と同じメソッド（`debug`, `info`, `warn`, `error`）を持つオブジェクトです。
+ *   存在しないメソッドは `log` で代用します。
+ * - 文字列のメッセージには `[namespace]` を前置します。アダプター自身のログは、
+ *   2 番目の引数に構造化されたコンテキスト（`operation`, `collectionPath`, `docId` など）を渡します。
+ * - その他の console のメソッド（`table`, `group`, `trace` など）は、`silent` 以外では出力先にそのまま渡します。
+ *   出力先にメソッドがない場合は何もしません。
+ *
+ * @param {Object} [base=console] - Log destination.
+ * @param {Object} [options={}]
+ * @param {string} [options.level="debug"] - Minimum level to output (`'silent'` outputs nothing).
+ * @param {string} [options.namespace="ClientAdapter"] - Namespace prefixed to messages.
+ * @returns {Object} `{ namespace, level, debug, info, log, warn, error, ...FORWARDED_CONSOLE_METHODS }`
+ * @throws {ClientAdapterError} If the logger or the level is invalid.
+ */
+function createLogger(
+  base = console,
+  { level = "debug", namespace = "ClientAdapter" } = {},
+) {
+  const methods = ["debug", "info", "log", "warn", "error"];
+  if (
+    !(level in LOG_LEVELS) ||
+    typeof base !== "object" ||
+    base === null ||
+    !methods.some((method) => typeof base[method] === "function")
+  ) {
+    throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_LOGGER);
+  }
+
+  const write =
+    (method, methodLevel) =>
+    (message, ...rest) => {
+      if (LOG_LEVELS[methodLevel] < LOG_LEVELS[level]) return;
+      const fn = [method, "log", "info"]
+        .map((name) => base[name])
+        .find((value) => typeof value === "function");
+      if (!fn) return;
+      const text =
+        typeof message === "string" && namespace
+          ? `[${namespace}] ${message}`
+          : message;
+      fn.call(base, text, ...rest);
+    };
+
+  const forward =
+    (method) =>
+    (...args) => {
+      if (level === "silent" || typeof base[method] !== "function") return;
+      base[method](...args);
+    };
+
+  return Object.freeze({
+    ...Object.fromEntries(
+      FORWARDED_CONSOLE_METHODS.map((method) => [method, forward(method)]),
+    ),
+    namespace,
+    level,
+    debug: write("debug", "debug"),
+    info: write("info", "info"),
+    log: write("log", "info"),
+    warn: write("warn", "warn"),
+    error: write("error", "error"),
+  });
+}
+
+/**
+ * 警告を出力します。
+ * - ロガーが設定されている場合は、構造化されたコンテキストとともにロガーに出力します。
+ * - 設定されていない場合は、従来どおり `[legacyPrefix] message` の形式で console に出力します。
+ *
+ * @param {Object} state - Adapter state (`{ logger, hasLogger }`).
+ * @param {string} message - Warning message.
+ * @param {Object} context - Structured context.
+ * @param {string} context.legacyPrefix - Prefix of the console output without a logger.
+ */
+function logWarning(
+  { logger, hasLogger },
+  message,
+  { legacyPrefix, ...context },
+) {
+  if (hasLogger) {
+    logger.warn(message, context);
+  } else if (context.error) {
+    console.warn(`[${legacyPrefix}] ${message}`, context.error);
+  } else {
+    console.warn(`[${legacyPrefix}] ${message}`);
+  }
+}
+
+/**
+ * アダプター内で発生したエラーを出力します。
+ * - ロガーが設定されている場合は、構造化されたコンテキスト（`operation`, `collectionPath`,
+ *   `docId`, `prefix`, `uid`, Firestore のエラーコード）とともにロガーに出力します。
+ * - 設定されていない場合は、従来どおり FireModel の `_outputErrorConsole()` を使用します。
+ *
+ * @param {Object|Function} model - FireModel instance (or class, adapter).
+ * @param {string} operation - Method name.
+ * @param {Error} err - Error to output.
+ * @param {Object} [context={}]
+ * @param {string|null} [context.prefix=null] - Path prefix.
+ * @param {string} [context.docId] - Document id (defaults to `model.docId`).
+ */
+function logError(model, operation, err, { prefix = null, docId } = {}) {
+  let state = null;
+  try {
+    state = getAdapterState(model);
+  } catch {
+    state = null;
+  }
+  if (!state?.hasLogger) {
+    if (typeof model?._outputErrorConsole === "function") {
+      model._outputErrorConsole(operation, err);
+    } else {
+      console.error(`[ClientAdapter] ${operation}`, err);
+    }
+    return;
+  }
+
+  const modelClass = typeof model === "function" ? model : model?.constructor;
+  let collectionPath = null;
+  try {
+    collectionPath = modelClass?.getCollectionPath?.(prefix) ?? null;
+  } catch {
+    collectionPath = null;
+  }
+  state.logger.error(`${operation} failed: ${err?.message ?? err}`, {
+    operation,
+    collectionPath,
+    docId: docId ?? model?.docId ?? null,
+    prefix,
+    uid: state.auth?.currentUser?.uid ?? null,
+    code: err?.originalError?.code ?? err?.code ?? null,
+    error: err,
+  });
+}
+
+/**
+ * Firestore インスタンスを取得します。
+ * - `localCache` が指定されている場合は、ローカルキャッシュを設定して初期化します。
+ * - Firestore が既に（アダプター以外で）初期化されている場合、設定は適用できないため
+ *   警告を出力して既存のインスタンスを使用します。
+ *
+ * @param {FirebaseApp|null} app - Firebase app (default app if null).
+ * @param {string|null} databaseId - Firestore database id (default database if null).
+ * @param {string|Object|null} localCache - `localCache` option of the constructor.
+ * @param {Object} logging - `{ logger, hasLogger }` for the warning.
+ * @returns {Firestore}
+ */
+function resolveFirestore(app, databaseId, localCache, logging) {
+  const targetApp = app || getApp();
+  const get = () =>
+    databaseId ? getFirestore(targetApp, databaseId) : getFirestore(targetApp);
+  if (!localCache) return get();
+
+  const cache = createLocalCache(localCache);
+  const databases = localCacheDatabases.get(targetApp) || new Set();
+  const key = databaseId || "(default)";
+  if (databases.has(key)) return get();
+
+  try {
+    const settings = { localCache: cache };
+    const firestore = databaseId
+      ? initializeFirestore(targetApp, settings, databaseId)
+      : initializeFirestore(targetApp, settings);
+    localCacheDatabases.set(targetApp, databases.add(key));
+    return firestore;
+  } catch (err) {
+    logWarning(
+      logging,
+      "Firestore has already been initialized, so the localCache option is ignored.",
+      {
+        legacyPrefix: "ClientAdapter",
+        operation: "constructor",
+        databaseId,
+        code: err?.code ?? null,
+        error: err,
+      },
+    );
+    return get();
+  }
+}
+
+/**
+ * Emulator Suite の既定の接続先と、接続先を指定する環境変数です。
+ * - 環境変数は Firebase CLI（`firebase emulators:exec`）が設定するものと同じです。
+ */
+const EMULATOR_DEFAULTS = Object.freeze({
+  firestore: { env: "FIRESTORE_EMULATOR_HOST", host: "127.0.0.1", port: 8080 },
+  auth: { env: "FIREBASE_AUTH_EMULATOR_HOST", host: "127.0.0.1", port: 9099 },
+  functions: { env: "FUNCTIONS_EMULATOR_HOST", host: "127.0.0.1", port: 5001 },
+});
+
+/** Firebase service instances already connected to an emulator. */
+const connectedEmulators = new WeakSet();
+
+/**
+ * `'host:port'` または `{ host, port }` から接続先を生成します。
+ *
+ * @param {string|Object} value
+ * @returns {{host: string, port: number}|null} null if the value is invalid.
+ */
+function parseEmulatorHost(value) {
+  const [host, port] =
+    typeof value === "string"
+      ? [
+          value.slice(0, value.lastIndexOf(":")),
+          value.slice(value.lastIndexOf(":") + 1),
+        ]
+      : [value?.host, value?.port];
+  const portNumber = Number(port);
+  if (typeof host !== "string" || !host || !Number.isInteger(portNumber)) {
+    return null;
+  }
+  return { host, port: portNumber };
+}
+
+/**
+ * `emulators` オプションから各サービスの接続先を解決します。
+ * - `true` の場合は、すべてのサービスについて環境変数または既定の接続先を使用します。
+ * - サービスごとに `true`（環境変数または既定値）、`'host:port'` または `{ host, port }` を指定できます。
+ *
+ * @param {boolean|Object|null} emulators - `emulators` option of the constructor.
+ * @returns {Object|null} `{ firestore, auth, functions }` (each `{host, port}` or null), or null.
+ * @throws {ClientAdapterError} If the option is invalid.
+ */
+function resolveEmulators(emulators) {
+  if (!emulators) return null;
+  const invalid = () =>
+    new ClientAdapterError(ERRORS.VALIDATION_INVALID_EMULATORS);
+  if (emulators !== true && !isPlainObject(emulators)) throw invalid();
+  if (
+    isPlainObject(emulators) &&
+    Object.keys(emulators).some((key) => !(key in EMULATOR_DEFAULTS))
+  ) {
+    throw invalid();
+  }
+
+  const env = globalThis.process?.env || {};
+  return Object.fromEntries(
+    Object.entries(EMULATOR_DEFAULTS).map(([service, defaults]) => {
+      const value = emulators === true ? true : emulators[service];
+      if (!value) return [service, null];
+      const resolved =
+        value === true
+          ? env[defaults.env]
+            ? parseEmulatorHost(env[defaults.env])
+            : { host: defaults.host, port: defaults.port }
+          : parseEmulatorHost(value);
+      if (!resolved) throw invalid();
+      return [service, resolved];
+    }),
+  );
+}
+
+/**
+ * 各サービスをエミュレーターに接続します。
+ * - 同じインスタンスへの接続は 1 度だけ行います（複数のアダプターで共有する場合も安全です）。
+ * - Firestore は使用開始後に接続先を変更できないため、コンストラクター内で最初の使用前に接続します。
+ *
+ * @param {Object} state - Adapter state.
+ * @param {Object} emulators - Resolved emulator hosts.
+ * @throws {ClientAdapterError} If a service cannot be connected.
+ */
+function connectEmulators(state, emulators) {
+  const connect = (service, fn) => {
+    if (!service || connectedEmulators.has(service)) return;
+    try {
+      fn();
+    } catch (err) {
+      throw new ClientAdapterError(
+        ERRORS.SYSTEM_EMULATOR_CONNECTION_FAILED,
+        err,
+      );
+    }
+    connectedEmulators.add(service);
+  };
+
+  const { firestore, auth, functions } = emulators;
+  if (firestore) {
+    connect(state.firestore, () =>
+      connectFirestoreEmulator(state.firestore, firestore.host, firestore.port),
+    );
+  }
+  if (auth && !state.auth?.emulatorConfig) {
+    connect(state.auth, () =>
+      connectAuthEmulator(state.auth, `http://${auth.host}:${auth.port}`, {
+        disableWarnings: true,
+      }),
+    );
+  }
+  if (functions) {
+    connect(state.functions, () =>
+      connectFunctionsEmulator(state.functions, functions.host, functions.port),
+    );
+  }
+}
+
+/** Firebase instances and settings held by each adapter instance. */
+const adapterStates = new WeakMap();
+
+/** State of the last adapter created for the default app and database. */
+let defaultAdapterState = null;
+
+/**
+ * `this`（アダプター、FireModel インスタンスまたはクラス）に対応するアダプターの状態を返します。
+ * - FireModel から呼び出された場合は、モデルクラスの `getAdapter()` が返すアダプターの状態を使用します。
+ * - モデルクラスに `getAdapter()` がない場合、または `getAdapter()` がアダプターを返さない場合は、
+ *   既定のアプリ・データベースのアダプターの状態を使用します。
+ *
+ * @param {Object|Function} target - Adapter, FireModel instance or FireModel class.
+ * @returns {Object} `{ app, firestore, auth, functions, GeoPoint, httpsCallable, serverTimestamps, databaseId, emulators, logger, hasLogger }`
+ * @throws {ClientAdapterError} `SYSTEM/FIRESTORE_NOT_INITIALIZED` if `getAdapter()` throws,
+ *         or if no adapter for the default app has been created.
+ */
+function getAdapterState(target) {
+  if (adapterStates.has(target)) return adapterStates.get(target);
+  const modelClass =
+    typeof target === "function" ? target : target?.constructor;
+  let adapter = null;
+  try {
+    adapter = modelClass?.getAdapter?.() ?? null;
+  } catch (err) {
+    throw new ClientAdapterError(ERRORS.SYSTEM_FIRESTORE_NOT_INITIALIZED, err);
+  }
+  const state = adapterStates.get(adapter) ?? defaultAdapterState;
+  if (!state) {
+    throw new ClientAdapterError(ERRORS.SYSTEM_FIRESTORE_NOT_INITIALIZED);
+  }
+  return state;
+}
 
 /*****************************************************************************
  * Client Adapter for FireModel version 1.0.0
@@ -36,12 +2149,96 @@ class ClientAdapter {
   static GeoPoint = null; // 2025-12-29 added
   static httpsCallable = null; // 2025-12-29 added
 
-  constructor(functions = null) {
-    ClientAdapter.firestore = getFirestore();
-    ClientAdapter.auth = getAuth();
-    ClientAdapter.functions = functions; // 2025-12-30 changed from getFunctions();
-    ClientAdapter.GeoPoint = GeoPoint; // 2025-12-29 added
-    ClientAdapter.httpsCallable = httpsCallable; // 2025-12-29 added
+  static serverTimestamps = false;
+
+  /**
+   * - 2026-10-18 changed: Firebase instances are held per adapter instance so that
+   *   multiple apps / named databases can be used at the same time.
+   *   The legacy form `new ClientAdapter(functions, options)` is still supported.
+   *
+   * @example
+   * new ClientAdapter(); // default app
+   * new ClientAdapter(getFunctions()); // legacy form
+   * new ClientAdapter({ app: otherApp, databaseId: "reports" });
+   *
+   * @param {Object|null} [options=null] - Adapter options, or Functions instance (legacy).
+   * @param {FirebaseApp} [options.app] - Firebase app. Default app if omitted.
+   * @param {Firestore} [options.firestore] - Firestore instance. Resolved from `app` if omitted.
+   * @param {Auth} [options.auth] - Auth instance. Resolved from `app` if omitted.
+   * @param {Functions|null} [options.functions=null] - Functions instance (optional).
+   * @param {string} [options.databaseId] - Firestore database id (named database).
+   * @param {boolean} [options.serverTimestamps=false] - Use Firestore server timestamps
+   *        for `createdAt` / `updatedAt`.
+   * @param {string|Object|null} [options.localCache=null] - Firestore local cache.
+   *        `'memory'`, `'persistent'` or `{ type: 'persistent', multiTab, cacheSizeBytes }`.
+   *        Must be set before Firestore is used anywhere else in the app.
+   * @param {boolean|Object|null} [options.emulators=null] - Connect to the Emulator Suite.
+   *        `true` connects all services to the hosts in `FIRESTORE_EMULATOR_HOST`,
+   *        `FIREBASE_AUTH_EMULATOR_HOST` and `FUNCTIONS_EMULATOR_HOST` (or the default ports).
+   *        Per service: `{ firestore, auth, functions }` with `true`, `'host:port'` or `{ host, port }`.
+   * @param {Object} [options.logger=console] - Log destination with console-like methods
+   *        (`debug`, `info`, `warn`, `error`). Adapter logs pass a structured context
+   *        (`operation`, `collectionPath`, `docId`, `prefix`, `uid`, `code`) as the second argument.
+   * @param {string} [options.logLevel="debug"] - `'debug'`, `'info'`, `'warn'`, `'error'` or `'silent'`.
+   * @param {string} [options.logNamespace="ClientAdapter"] - Namespace prefixed to log messages.
+   * @param {Object} [legacyOptions={}] - Adapter options for the legacy form.
+   */
+  constructor(options = null, legacyOptions = {}) {
+    const isLegacy = !isPlainObject(options);
+    const {
+      app = null,
+      firestore = null,
+      auth = null,
+      functions = null,
+      databaseId = null,
+      localCache = null,
+      serverTimestamps = false,
+      emulators = null,
+      logger = null,
+      logLevel = null,
+      logNamespace = null,
+    } = isLegacy ? { ...legacyOptions, functions: options } : options;
+
+    // Validate before Firestore / Auth are initialized with the other options.
+    const resolvedEmulators = resolveEmulators(emulators);
+
+    const hasLogger = !!(logger || logLevel || logNamespace);
+    const logging = {
+      logger: hasLogger
+        ? createLogger(logger || console, {
+            level: logLevel || "debug",
+            namespace: logNamespace ?? "ClientAdapter",
+          })
+        : console,
+      hasLogger,
+    };
+
+    const state = {
+      app,
+      firestore:
+        firestore || resolveFirestore(app, databaseId, localCache, logging),
+      auth: auth || (app ? getAuth(app) : getAuth()),
+      functions, // 2025-12-30 changed from getFunctions();
+      GeoPoint, // 2025-12-29 added
+      httpsCallable, // 2025-12-29 added
+      serverTimestamps: serverTimestamps === true,
+      databaseId,
+      emulators: resolvedEmulators,
+      ...logging,
+    };
+    if (state.emulators) connectEmulators(state, state.emulators);
+    adapterStates.set(this, state);
+
+    // 既定のアプリ・データベースを使用する場合は、従来どおり静的フィールドにも保持します。
+    if (!app && !firestore && !databaseId) {
+      defaultAdapterState = state;
+      ClientAdapter.firestore = state.firestore;
+      ClientAdapter.auth = state.auth;
+      ClientAdapter.functions = state.functions;
+      ClientAdapter.GeoPoint = state.GeoPoint;
+      ClientAdapter.httpsCallable = state.httpsCallable;
+      ClientAdapter.serverTimestamps = state.serverTimestamps;
+    }
   }
 
   get type() {
@@ -49,23 +2246,53 @@ class ClientAdapter {
   }
 
   /**
-   * console を返します。
+   * Returns whether the adapter is connected to the Emulator Suite.
+   */
+  get isEmulator() {
+    return !!getAdapterState(this).emulators;
+  }
+
+  /**
+   * ロガーを返します。
    * FireModel でコンソールを出力するために使用します。
+   * - `logger`, `logLevel`, `logNamespace` のいずれも指定されていない場合は、従来どおり console を返します。
    */
   get logger() {
-    return console;
+    return getAdapterState(this).logger;
+  }
+
+  /**
+   * Returns the Firebase app given to the constructor (null for the default app).
+   */
+  get app() {
+    return getAdapterState(this).app;
+  }
+
+  /**
+   * Returns the Firestore database id given to the constructor (null for the default database).
+   */
+  get databaseId() {
+    return getAdapterState(this).databaseId;
+  }
+
+  /**
+   * Returns whether `createdAt` / `updatedAt` are stamped with server timestamps.
+   */
+  get serverTimestamps() {
+    return getAdapterState(this).serverTimestamps;
   }
 
   /**
    * Returns the Authentication instance.
    */
   get auth() {
-    if (!ClientAdapter.auth) {
+    const { auth } = getAdapterState(this);
+    if (!auth) {
       throw new ClientAdapterError(
         ERRORS.SYSTEM_AUTHENTICATION_NOT_INITIALIZED,
       );
     }
-    return ClientAdapter.auth;
+    return auth;
   }
 
   /**
@@ -73,10 +2300,11 @@ class ClientAdapter {
    * - 2025-07-11 added
    */
   get firestore() {
-    if (!ClientAdapter.firestore) {
+    const { firestore } = getAdapterState(this);
+    if (!firestore) {
       throw new ClientAdapterError(ERRORS.SYSTEM_FIRESTORE_NOT_INITIALIZED);
     }
-    return ClientAdapter.firestore;
+    return firestore;
   }
 
   /**
@@ -84,7 +2312,7 @@ class ClientAdapter {
    * - 2025-12-30 modified to return null if not initialized (instead of throwing error)
    */
   get functions() {
-    return ClientAdapter.functions; // ← null を返すように変更（エラーをスローしない）
+    return getAdapterState(this).functions; // ← null を返すように変更（エラーをスローしない）
   }
 
   /**
@@ -92,10 +2320,11 @@ class ClientAdapter {
    * - 2025-12-29 added
    */
   get GeoPoint() {
-    if (!ClientAdapter.GeoPoint) {
+    const { GeoPoint } = getAdapterState(this);
+    if (!GeoPoint) {
       throw new ClientAdapterError(ERRORS.SYSTEM_GEOPOINT_NOT_INITIALIZED);
     }
-    return ClientAdapter.GeoPoint;
+    return GeoPoint;
   }
 
   /**
@@ -103,10 +2332,11 @@ class ClientAdapter {
    * - 2025-12-29 added
    */
   get httpsCallable() {
-    if (!ClientAdapter.httpsCallable) {
+    const { httpsCallable } = getAdapterState(this);
+    if (!httpsCallable) {
       throw new ClientAdapterError(ERRORS.SYSTEM_HTTPSCALLABLE_NOT_INITIALIZED);
     }
-    return ClientAdapter.httpsCallable;
+    return httpsCallable;
   }
 
   /**
@@ -128,179 +2358,354 @@ class ClientAdapter {
     try {
       const collectionPath = this.constructor.getCollectionPath(prefix);
       const colRef = collection(
-        ClientAdapter.firestore,
+        getAdapterState(this).firestore,
         collectionPath,
       ).withConverter(this.constructor.converter());
 
-      return doc(colRef, docId);
+      return doc(colRef, docId);
+    } catch (err) {
+      if (err instanceof ClientAdapterError) {
+        throw err;
+      } else {
+        logError(this, "getDocRef", err, { docId, prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR);
+      }
+    }
+  }
+
+  /**
+   * Assigns an autonumber to the instance using a Firestore transaction.
+   * - Retrieves the current autonumber doc from the `Autonumbers` collection.
+   * - If the document does not exist, it creates one using the class configuration.
+   * - Increments the number and sets it on the instance.
+   * - Returns a function to update the `current` value in Firestore.
+   * - `prefix` is required to resolve the collection path (e.g., "Companies/abc123/").
+   * - If `format` is set, the code is generated from it (e.g., "INV-{YYYY}-{MM}-{SEQ}").
+   *   Available tokens: `{YYYY}`, `{YY}`, `{MM}`, `{DD}`, `{PREFIX}` and `{SEQ}`.
+   * - If `resetPeriod` is `yearly`, `monthly` or `daily`, the counter restarts from 1
+   *   when the period (client local time) changes. The period is stored as `periodKey`.
+   * - Within the same transaction, the autonumber doc is read only once and consecutive
+   *   calls get consecutive numbers.
+   * - In a transaction of `runTransaction()`, the returned function only schedules the
+   *   write, and the autonumber doc is written once before the commit. In other
+   *   transactions, each call writes the autonumber doc.
+   * @param {Object} args - Autonumber options.
+   * @param {Object} args.transaction - Firestore transaction object (required).
+   * @param {string} args.prefix - Path prefix (required, e.g., "Companies/abc123/").
+   * @returns {Promise<Function>} Function that updates the current counter.
+   * @throws {ClientAdapterError} If transaction/prefix is missing or autonumber is invalid.
+   */
+  async setAutonumber({ transaction, prefix = null } = {}) {
+    if (!transaction) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_MISSING_TRANSACTION);
+    }
+
+    try {
+      const { field, codes, write } = await allocateAutonumbers(
+        this,
+        transaction,
+        prefix,
+        1,
+      );
+      this[field] = codes[0];
+
+      // Return function to update autonumber document
+      return write;
+    } catch (err) {
+      if (err instanceof ClientAdapterError) {
+        throw err;
+      } else {
+        logError(this, "setAutonumber", err, { prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR);
+      }
+    }
+  }
+
+  /**
+   * Reserves `count` consecutive autonumber codes at once, e.g. for bulk entry.
+   * - The counter is advanced by `count` in a single write.
+   * - Reserved codes are not assigned to any instance. Set them to the instances
+   *   yourself (e.g. before `bulkCreate()`).
+   * - If `transaction` is provided, the reservation shares the counter state with
+   *   `create()` / `setAutonumber()` in the same transaction.
+   *
+   * 自動採番のコードを `count` 件まとめて確保します。
+   *
+   * @param {Object} args - Reservation options.
+   * @param {number} args.count - Number of codes to reserve.
+   * @param {Object|null} [args.transaction=null] - Firestore transaction (optional).
+   * @param {string|null} [args.prefix=null] - Path prefix.
+   * @returns {Promise<Array<string>>} Reserved codes in ascending order.
+   * @throws {ClientAdapterError} If `count` is invalid, prefix is missing or autonumber is invalid.
+   */
+  async reserveAutonumbers({ count, transaction = null, prefix = null } = {}) {
+    if (!Number.isInteger(count) || count <= 0) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_RESERVE_COUNT);
+    }
+
+    try {
+      const performTransaction = async (txn) => {
+        const { codes, write } = await allocateAutonumbers(
+          this,
+          txn,
+          prefix,
+          count,
+        );
+        write();
+        return codes;
+      };
+
+      return transaction
+        ? await performTransaction(transaction)
+        : await runTransaction(
+            getAdapterState(this).firestore,
+            performTransaction,
+          );
+    } catch (err) {
+      if (err instanceof ClientAdapterError) {
+        throw err;
+      } else {
+        logError(this, "reserveAutonumbers", err, { prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
+      }
+    }
+  }
+
+  /**
+   * Returns the autonumber document (settings and current counter) of the collection.
+   * - Returns `null` if the document has not been created yet.
+   *
+   * 採番ドキュメントの内容を取得します。
+   *
+   * @param {Object} [args={}] - Options.
+   * @param {string|null} [args.prefix=null] - Path prefix.
+   * @returns {Promise<Object|null>} Autonumber document data.
+   * @throws {ClientAdapterError} If prefix is missing.
+   */
+  async fetchAutonumberSettings({ prefix = null } = {}) {
+    try {
+      const docRef = doc(
+        getAdapterState(this).firestore,
+        getAutonumberPath(this, prefix),
+      );
+      const docSnap = await getDoc(docRef);
+      return docSnap.exists() ? docSnap.data() : null;
+    } catch (err) {
+      if (err instanceof ClientAdapterError) {
+        throw err;
+      } else {
+        logError(this, "fetchAutonumberSettings", err, { prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
+      }
+    }
+  }
+
+  /**
+   * Updates the settings of the autonumber document.
+   * - Changeable settings: `status`, `length`, `prefix`, `format`, `resetPeriod`, `current`.
+   * - If the document does not exist, it is created from the class configuration first.
+   * - `current` cannot be moved below the highest code already used in the collection,
+   *   and `length` cannot be shorter than the width of the codes already in use.
+   * - Codes of the current period are compared as numbers, so all documents with such
+   *   codes are read.
+   * - Setting `current` (or `resetPeriod`) applies it to the current period.
+   *
+   * 採番設定を更新します。
+   *
+   * @param {Object} args - Options.
+   * @param {Object} args.settings - Settings to change.
+   * @param {string|null} [args.prefix=null] - Path prefix.
+   * @returns {Promise<Object>} Updated autonumber document data.
+   * @throws {ClientAdapterError} If settings are invalid or conflict with existing codes.
+   */
+  async updateAutonumberSettings({ settings, prefix = null } = {}) {
+    if (!isValidAutonumberSettings(settings)) {
+      throw new ClientAdapterError(
+        ERRORS.VALIDATION_INVALID_AUTONUMBER_SETTINGS,
+      );
+    }
+
+    try {
+      const docRef = doc(
+        getAdapterState(this).firestore,
+        getAutonumberPath(this, prefix),
+      );
+      const now = new Date();
+
+      const resolveNext = (docSnap) => {
+        const base = docSnap.exists()
+          ? docSnap.data()
+          : createAutonumberData(this);
+        const data = { ...base, ...settings };
+        const periodKey = getAutonumberPeriodKey(data.resetPeriod, now);
+        const current =
+          settings.current ??
+          ((base.periodKey ?? null) === periodKey ? base.current : 0);
+        return { ...data, current, periodKey };
+      };
+
+      // Queries cannot run inside a client transaction, so the highest code
+      // is read beforehand with the settings that will be applied.
+      const { highest, width } = await fetchHighestAutonumber(
+        this,
+        prefix,
+        resolveNext(await getDoc(docRef)),
+        now,
+      );
+
+      return await runTransaction(
+        getAdapterState(this).firestore,
+        async (txn) => {
+          const docSnap = await txn.get(docRef);
+          const next = resolveNext(docSnap);
+
+          if (next.current < highest) {
+            throw new ClientAdapterError(
+              ERRORS.BUSINESS_AUTONUMBER_CURRENT_TOO_LOW,
+              null,
+              { current: next.current, highest },
+            );
+          }
+
+          // Codes in use keep their width, so the length cannot be shorter.
+          const digits = Math.max(
+            String(Math.max(next.current, highest)).length,
+            width,
+          );
+          if (next.length < digits) {
+            throw new ClientAdapterError(
+              ERRORS.BUSINESS_AUTONUMBER_LENGTH_TOO_SHORT,
+              null,
+              { length: next.length, digits },
+            );
+          }
+
+          txn.set(docRef, next);
+          return next;
+        },
+      );
+    } catch (err) {
+      if (err instanceof ClientAdapterError) {
+        throw err;
+      } else {
+        logError(this, "updateAutonumberSettings", err, { prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
+      }
+    }
+  }
+
+  /**
+   * Returns the code that the next `create()` would get, without using it.
+   * - The counter is not changed, so the actual code may differ if other
+   *   documents are created in the meantime.
+   *
+   * 次に採番されるコードを取得します（カウンターは更新しません）。
+   *
+   * @param {Object} [args={}] - Options.
+   * @param {string|null} [args.prefix=null] - Path prefix.
+   * @returns {Promise<string>} Next code.
+   * @throws {ClientAdapterError} If autonumber is disabled, invalid or exhausted.
+   */
+  async previewAutonumber({ prefix = null } = {}) {
+    try {
+      const docRef = doc(
+        getAdapterState(this).firestore,
+        getAutonumberPath(this, prefix),
+      );
+      const docSnap = await getDoc(docRef);
+      const now = new Date();
+      const { data, current } = readAutonumberState(this, docSnap, now);
+
+      if (current + 1 > Math.pow(10, data.length) - 1) {
+        throw new ClientAdapterError(ERRORS.BUSINESS_AUTONUMBER_MAX_REACHED);
+      }
+
+      return formatAutonumber(data, current + 1, now);
     } catch (err) {
       if (err instanceof ClientAdapterError) {
         throw err;
       } else {
-        this._outputErrorConsole("getDocRef", err);
-        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR);
+        logError(this, "previewAutonumber", err, { prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
       }
     }
   }
 
   /**
-   * Assigns an autonumber to the instance using a Firestore transaction.
-   * - Retrieves the current autonumber doc from the `Autonumbers` collection.
-   * - If the document does not exist, it creates one using the class configuration.
-   * - Increments the number and sets it on the instance.
-   * - Returns a function to update the `current` value in Firestore.
-   * - `prefix` is required to resolve the collection path (e.g., "Companies/abc123/").
-   * @param {Object} args - Autonumber options.
-   * @param {Object} args.transaction - Firestore transaction object (required).
-   * @param {string} args.prefix - Path prefix (required, e.g., "Companies/abc123/").
-   * @returns {Promise<Function>} Function that updates the current counter.
-   * @throws {ClientAdapterError} If transaction/prefix is missing or autonumber is invalid.
+   * Returns the number of documents kept in the counter document of the collection.
+   * - Counts are maintained by `create()`, `delete()`, `restore()`, `bulkCreate()` and
+   *   `bulkDelete()` when the class sets `static useCounter = true`.
+   * - The counter document is `meta/docCounter` next to the collection
+   *   (e.g., `Companies/abc123/meta/docCounter`) and the field is the collection name.
+   * - Reads a single document, so it is cheaper than `fetchCount()`.
+   *
+   * カウンタードキュメントからドキュメント数を取得します。
+   *
+   * @param {Object} [args={}] - Options.
+   * @param {string|null} [args.prefix=null] - Path prefix.
+   * @returns {Promise<number>} Number of documents (0 if the counter does not exist).
    */
-  async setAutonumber({ transaction, prefix = null } = {}) {
-    if (!transaction) {
-      throw new ClientAdapterError(ERRORS.VALIDATION_MISSING_TRANSACTION);
-    }
-
+  async fetchCounter({ prefix = null } = {}) {
     try {
-      // Use FireModel's getEffectivePrefix to resolve prefix
-      const effectivePrefix = this.constructor.getEffectivePrefix(prefix);
-
-      if (!effectivePrefix) {
-        throw new ClientAdapterError(ERRORS.VALIDATION_MISSING_PREFIX);
-      }
-
-      // Get collection name from class (e.g., "Employees", "Customers")
-      const collectionName = this.constructor.collectionPath;
-
-      // Build autonumber document path
-      // e.g., "Companies/abc123/Autonumbers/Employees"
-      const autonumberPath = `${effectivePrefix}Autonumbers/${collectionName}`;
-      const docRef = doc(ClientAdapter.firestore, autonumberPath);
-
-      // Get autonumber document
-      const docSnap = await transaction.get(docRef);
-
-      let data;
-      let newNumber;
-
-      if (!docSnap.exists()) {
-        // Document does not exist - create it using class configuration
-        const config = this.constructor.useAutonumber;
-
-        if (!config || typeof config !== "object") {
-          throw new ClientAdapterError(
-            ERRORS.BUSINESS_AUTONUMBER_CONFIG_INVALID,
-          );
-        }
-
-        data = {
-          current: 0,
-          length: config.length || 6,
-          field: config.field || "code",
-          prefix: config.prefix || "", // Code prefix (e.g., "E" for Employees)
-          status: true, // Always enabled on creation
-        };
-
-        newNumber = 1;
-        const codePrefix = data.prefix || "";
-        const newCode =
-          codePrefix + String(newNumber).padStart(data.length, "0");
-        this[data.field] = newCode;
-
-        // Create the document with initial values
-        transaction.set(docRef, { ...data, current: newNumber });
-
-        // Return empty function (already set in transaction)
-        return () => {};
+      const { docRef, field } = getCounterTarget(
+        this,
+        this.constructor.getCollectionPath(prefix),
+      );
+      const docSnap = await getDoc(docRef);
+      return (docSnap.exists() && docSnap.get(field)) || 0;
+    } catch (err) {
+      if (err instanceof ClientAdapterError) {
+        throw err;
       } else {
-        // Document exists - use existing configuration
-        data = docSnap.data();
-
-        // Check if autonumber is enabled
-        if (!data?.status) {
-          throw new ClientAdapterError(ERRORS.BUSINESS_AUTONUMBER_DISABLED);
-        }
-
-        // Calculate new number
-        newNumber = data.current + 1;
-        const length = data.length;
-        const maxValue = Math.pow(10, length) - 1;
+        logError(this, "fetchCounter", err, { prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
+      }
+    }
+  }
 
-        if (newNumber > maxValue) {
-          throw new ClientAdapterError(ERRORS.BUSINESS_AUTONUMBER_MAX_REACHED);
-        }
+  /**
+   * Recounts the documents of the collection and overwrites the counter document.
+   * - Use this to repair the counter when it drifts (e.g. documents written outside
+   *   the adapter, or cascaded deletes of child documents).
+   * - Documents written while recounting may not be reflected.
+   *
+   * コレクションのドキュメント数を数え直し、カウンタードキュメントを修復します。
+   *
+   * @param {Object} [args={}] - Options.
+   * @param {string|null} [args.prefix=null] - Path prefix.
+   * @returns {Promise<number>} Recounted number of documents.
+   */
+  async rebuildCounter({ prefix = null } = {}) {
+    try {
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const snapshot = await getCountFromServer(
+        collection(getAdapterState(this).firestore, collectionPath),
+      );
+      const count = snapshot.data().count;
 
-        // Generate new code with prefix and zero-padding
-        const codePrefix = data.prefix || "";
-        const newCode = codePrefix + String(newNumber).padStart(length, "0");
-        this[data.field] = newCode;
+      const { docRef, field } = getCounterTarget(this, collectionPath);
+      await setDoc(docRef, { [field]: count }, { merge: true });
 
-        // Return function to update autonumber document
-        return () => transaction.update(docRef, { current: newNumber });
-      }
+      return count;
     } catch (err) {
       if (err instanceof ClientAdapterError) {
         throw err;
       } else {
-        this._outputErrorConsole("setAutonumber", err);
-        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR);
+        logError(this, "rebuildCounter", err, { prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
       }
     }
   }
 
-  // /**
-  //  * Returns a function to update the counter document in Firestore.
-  //  * - This function treats 'this' as a FireModel instance.
-  //  * @param {Object} args - Parameters for counter update.
-  //  * @param {Object} args.transaction - Firestore transaction object (required).
-  //  * @param {boolean} [args.increment=true] - Whether to increment (true) or decrement (false) the counter.
-  //  * @param {string|null} [args.prefix=null] - Optional path prefix for collection.
-  //  * @returns {Promise<Function>} Function to update the counter document.
-  //  */
-  // async getCounterUpdater(args = {}) {
-  //   const { transaction, increment = true, prefix = null } = args;
-  //   // transaction is required
-  //   if (!transaction) {
-  //     throw new ClientAdapterError(ERRORS.VALIDATION_MISSING_TRANSACTION);
-  //   }
-
-  //   try {
-  //     // Get collection path defined by class.
-  //     // -> `getCollectionPath()` is a static method defined in FireModel.
-  //     // ex) `customers` or `companies/{companyId}/customers`
-  //     const collectionPath = this.constructor.getCollectionPath(prefix);
-
-  //     // Divide collection path into segments.
-  //     // ex) `["companies", "{companyId}", "customers"]`
-  //     const segments = collectionPath.split("/");
-
-  //     // Get collection name (Last segment is collection name)
-  //     const colName = segments.pop();
-
-  //     // Determine effective collection path for counter-document.
-  //     const effectiveDocPath = `${segments.join("/")}/meta/docCounter`;
-  //     const docRef = doc(ClientAdapter.firestore, effectiveDocPath);
-  //     const docSnap = await transaction.get(docRef);
-  //     if (!docSnap.exists()) {
-  //       return () => transaction.set(docRef, { [colName]: increment ? 1 : 0 });
-  //     } else {
-  //       return () =>
-  //         transaction.update(docRef, {
-  //           [colName]: FieldValue_increment(increment ? 1 : -1),
-  //         });
-  //     }
-  //   } catch (err) {
-  //     if (err instanceof ClientAdapterError) {
-  //       throw err;
-  //     } else {
-  //       this._outputErrorConsole("getCounterUpdater", err);
-  //       throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR);
-  //     }
-  //   }
-  // }
-
   /**
    * Create a new document in Firestore.
+   * - If the class sets `static useCounter = true`, the counter document is incremented
+   *   in the same transaction (see `fetchCounter()`). If `docId` is given, the document
+   *   is read first and the counter is not incremented when it already exists (the
+   *   existing document is overwritten).
+   * - Firestore does not allow reads after writes in a transaction, so in a shared
+   *   `transaction` such a `create()` must come before other writes, unless the same
+   *   document was already written in the transaction.
    * @param {Object} args - Creation options.
    * @param {string} [args.docId] - Document ID to use (optional).
    * @param {boolean} [args.useAutonumber=true] - Whether to use auto-numbering.
@@ -332,36 +2737,39 @@ class ClientAdapter {
             ? await this.setAutonumber({ transaction: txn, prefix })
             : null;
 
-        // Get function to update counter document.
-        // const adapter = this.constructor.getAdapter();
-        // const counterUpdater = await adapter.getCounterUpdater.bind(this)({
-        //   transaction: txn,
-        //   increment: true,
-        //   prefix,
-        // });
-
         // Prepare document reference
         const collectionPath = this.constructor.getCollectionPath(prefix);
         const colRef = collection(
-          ClientAdapter.firestore,
+          getAdapterState(this).firestore,
           collectionPath,
         ).withConverter(this.constructor.converter());
         const docRef = docId ? doc(colRef, docId) : doc(colRef);
 
+        // An existing document given by `docId` is overwritten, so it is not counted.
+        // (Reads must precede the writes of the transaction.)
+        const counterWrite = createCounterWrite(this, prefix, 1);
+        const isInsert =
+          !counterWrite || !docId || !(await existsInTransaction(txn, docRef));
+
         // Set metadata
         this.docId = docRef.id;
         this.createdAt = new Date();
         this.updatedAt = new Date();
-        this.uid = ClientAdapter.auth?.currentUser?.uid || "unknown";
+        this.uid = getAdapterState(this).auth?.currentUser?.uid || "unknown";
 
         // Create document
-        txn.set(docRef, this);
+        const write = prepareTimestampedWrite(this, docRef, [
+          "createdAt",
+          "updatedAt",
+        ]);
+        txn.set(write.ref, write.data);
+        recordTransactionWrite(txn, docRef, true);
 
         // Update autonumber if applicable
         if (updateAutonumber) await updateAutonumber();
 
-        // // Update counter document
-        // if (counterUpdater) await counterUpdater();
+        // Update counter document if `useCounter` is enabled
+        if (counterWrite && isInsert) counterWrite(txn);
 
         // Execute callback if provided
         if (callback) await callback(txn);
@@ -372,7 +2780,17 @@ class ClientAdapter {
 
       const docRef = transaction
         ? await performTransaction(transaction)
-        : await runTransaction(ClientAdapter.firestore, performTransaction);
+        : await runTransaction(
+            getAdapterState(this).firestore,
+            performTransaction,
+          );
+
+      rememberLoadedState(this);
+
+      // The caller commits its own transaction, so timestamps stay pending.
+      if (!transaction) {
+        await tryResolvePendingTimestamps(this, "create");
+      }
 
       return docRef;
     } catch (err) {
@@ -383,7 +2801,7 @@ class ClientAdapter {
         // throw new ClientAdapterError(ERRORS.VALIDATION_FIELD_ERROR, err);
         throw err;
       } else {
-        this._outputErrorConsole("create", err);
+        logError(this, "create", err, { docId, prefix });
         throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
       }
     }
@@ -392,25 +2810,36 @@ class ClientAdapter {
   /**
    * Get a document from Firestore by its ID and load into this instance.
    * - The class properties will be cleared if the document does not exist.
+   * - `source` selects where to read from: `'default'`, `'cache'` (local cache only)
+   *   or `'server'` (server only). Only `'default'` is allowed in a transaction.
    * @param {Object} args - Fetch options.
    * @param {string} args.docId - Document ID to fetch.
    * @param {Object|null} [args.transaction=null] - Firestore transaction (optional).
    * @param {string|null} [args.prefix=null] - Path prefix (optional).
-   * @returns {Promise<boolean>} True if document was found and loaded, false if not found.
+   * @param {string} [args.source='default'] - Read source.
+   * @param {boolean} [args.withMetadata=false] - Return `{ exists, fromCache }` instead of a boolean.
+   * @returns {Promise<boolean|Object>} True if document was found and loaded, false if not found.
    * @throws {Error} If `docId` is not specified or fetch fails.
    */
   async fetch(args = {}) {
-    const { docId, transaction = null, prefix = null } = args;
+    const {
+      docId,
+      transaction = null,
+      prefix = null,
+      source = "default",
+      withMetadata = false,
+    } = args;
     if (!docId) {
       throw new ClientAdapterError(ERRORS.VALIDATION_MISSING_DOC_ID);
     }
+    assertReadSource(source, transaction);
     try {
       // Get collection path defined by FireModel.
       const collectionPath = this.constructor.getCollectionPath(prefix);
 
       // Prepare document reference.
       const colRef = collection(
-        ClientAdapter.firestore,
+        getAdapterState(this).firestore,
         collectionPath,
       ).withConverter(this.constructor.converter());
       const docRef = doc(colRef, docId);
@@ -418,17 +2847,28 @@ class ClientAdapter {
       // Fetch document snapshot.
       const docSnap = transaction
         ? await transaction.get(docRef)
-        : await getDoc(docRef);
+        : await getDocFromSource(docRef, source);
 
       // Load data into this instance, or reset if not found.
       this.initialize(docSnap.exists() ? docSnap.data() : null);
+      if (docSnap.exists()) {
+        rememberLoadedState(this);
+      } else {
+        loadedStates.delete(this);
+      }
 
+      if (withMetadata) {
+        return {
+          exists: docSnap.exists(),
+          fromCache: docSnap.metadata?.fromCache ?? false,
+        };
+      }
       return docSnap.exists();
     } catch (err) {
       if (err instanceof ClientAdapterError) {
         throw err;
       } else {
-        this._outputErrorConsole("fetch", err);
+        logError(this, "fetch", err, { docId, prefix });
         throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR);
       }
     }
@@ -436,26 +2876,36 @@ class ClientAdapter {
 
   /**
    * Get a document from Firestore by its ID and return as a new instance.
+   * - `source` works the same as in `fetch`.
    * @param {Object} args - Fetch options.
    * @param {string} args.docId - Document ID to fetch.
    * @param {Object|null} [args.transaction=null] - Firestore transaction (optional).
    * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {string} [args.source='default'] - Read source.
+   * @param {boolean} [args.withMetadata=false] - Return `{ doc, fromCache }` instead of the document.
    * @returns {Promise<Object|null>} Document data, or null if not found.
    * @throws {Error} If `docId` is not specified or fetch fails.
    */
   async fetchDoc(args = {}) {
-    const { docId, transaction = null, prefix = null } = args;
+    const {
+      docId,
+      transaction = null,
+      prefix = null,
+      source = "default",
+      withMetadata = false,
+    } = args;
     // Throw error if docId is not provided.
     if (!docId) {
       throw new ClientAdapterError(ERRORS.VALIDATION_MISSING_DOC_ID);
     }
+    assertReadSource(source, transaction);
     try {
       // Get collection path defined by FireModel.
       const collectionPath = this.constructor.getCollectionPath(prefix);
 
       // Prepare document reference.
       const colRef = collection(
-        ClientAdapter.firestore,
+        getAdapterState(this).firestore,
         collectionPath,
       ).withConverter(this.constructor.converter());
       const docRef = doc(colRef, docId);
@@ -463,14 +2913,18 @@ class ClientAdapter {
       // Fetch document snapshot.
       const docSnap = transaction
         ? await transaction.get(docRef)
-        : await getDoc(docRef);
+        : await getDocFromSource(docRef, source);
 
-      return docSnap.exists() ? docSnap.data() : null;
+      const result = docSnap.exists() ? readSnapshot(docSnap) : null;
+      if (withMetadata) {
+        return { doc: result, fromCache: docSnap.metadata?.fromCache ?? false };
+      }
+      return result;
     } catch (err) {
       if (err instanceof ClientAdapterError) {
         throw err;
       } else {
-        this._outputErrorConsole("fetchDoc", err);
+        logError(this, "fetchDoc", err, { docId, prefix });
         throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR);
       }
     }
@@ -478,22 +2932,41 @@ class ClientAdapter {
 
   /**
    * Firestore のクエリ条件の配列を受け取り、Firestore のクエリオブジェクト配列を生成して返します。
-   * - `constraints` 配列には、`where`, `orderBy`, `limit` などの Firestore クエリを指定できます。
+   * - `constraints` 配列には、以下のクエリを指定できます。
+   *   - `['where', field, op, value]`
+   *   - `['orderBy', field, 'asc' | 'desc']`
+   *   - `['limit', n]`, `['limitToLast', n]`
+   *   - `['startAt', ...values]`, `['startAfter', ...values]`, `['endAt', ...values]`, `['endBefore', ...values]`
+   *     （値の代わりに DocumentSnapshot を 1 つ指定することもできます）
+   *   - `['or', filter, filter, ...]`, `['and', filter, filter, ...]`
+   *     （filter には `where` / `or` / `and` のタプルを入れ子で指定します）
    * - 例：`[['where', 'age', '>=', 18], ['orderBy', 'age', 'desc'], ['limit', 10]]`
-   * - 不明なクエリタイプが指定された場合はエラーをスローします。
+   * - 例：`[['or', ['where', 'status', '==', 'open'], ['and', ['where', 'priority', '>=', 3], ['where', 'owner', '==', uid]]]]`
+   * - `or` / `and` と他のフィルタが混在する場合は、トップレベルのフィルタを 1 つの `and` にまとめます。
+   * - 不明なクエリタイプや不正な形式のタプルが指定された場合はエラーをスローします。
    *
    * @param {Array} constraints - クエリ条件の配列です。
    * @returns {Array<Object>} - Firestore クエリオブジェクトの配列を返します。
-   * @throws {Error} - 不明なクエリタイプが指定された場合、エラーをスローします。
+   * @throws {Error} - 不明なクエリタイプや不正なタプルが指定された場合、エラーをスローします。
    */
   createQueries(constraints) {
+    if (!Array.isArray(constraints)) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_CONSTRAINTS);
+    }
+
     const result = [];
     constraints.forEach((constraint) => {
+      if (!Array.isArray(constraint)) {
+        throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_QUERY_TUPLE);
+      }
+
       const [type, ...args] = constraint;
 
       switch (type) {
         case "where":
-          result.push(where(...args));
+        case "or":
+        case "and":
+          result.push(createFilterConstraint(constraint));
           break;
         case "orderBy":
           if (!["asc", "desc"].includes(args[1] || "asc")) {
@@ -504,16 +2977,26 @@ class ClientAdapter {
           result.push(orderBy(args[0], args[1] || "asc"));
           break;
         case "limit":
+        case "limitToLast":
           if (typeof args[0] !== "number" || args[0] <= 0) {
             throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_LIMIT);
           }
-          result.push(limit(args[0]));
+          result.push(type === "limit" ? limit(args[0]) : limitToLast(args[0]));
+          break;
+        case "startAt":
+        case "startAfter":
+        case "endAt":
+        case "endBefore":
+          if (args.length === 0) {
+            throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_QUERY_TUPLE);
+          }
+          result.push(CURSOR_CONSTRAINTS[type](...args));
           break;
         default:
           throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_QUERY_TYPE);
       }
     });
-    return result;
+    return combineFilterConstraints(result);
   }
 
   /*****************************************************************************
@@ -521,40 +3004,46 @@ class ClientAdapter {
    * - 検索文字列の 1 文字・2 文字ごとのトークンを作成し、Firestore の `tokenMap` を利用した検索クエリを生成します。
    * - 例：`"検索"` → `['検', '索', '検索']`
    * - サロゲートペア文字（絵文字など）および Firestore のフィールドパスとして使用できない文字は検索対象外として除外します。
+   * - モデルクラスの `tokenMapNormalization` が設定されている場合、検索文字列を正規化してからトークンを作成します。
+   *   書き込む `tokenMap` は同じ設定で `createTokenMap()` を使用して生成してください。
+   * - `maxTokens` を指定した場合、絞り込み効果が高いと推定されるトークンを最大 `maxTokens` 件だけ使用します。
+   *   （結果は検索文字列全体に一致するとは限らないため、クライアント側での絞り込みが必要です）
    *
    * @param {string} constraints - 検索に使用する文字列です。
+   * @param {Object} [options={}]
+   * @param {number|null} [options.maxTokens=null] - 使用するトークンの最大件数です（未指定の場合はすべて）。
    * @returns {Array<Object>} - Firestore クエリオブジェクトの配列を返します。
    * @throws {Error} - `constraints` が空文字の場合、エラーをスローします。
    *
    * [更新履歴]
+   * 2026-10-18 - `maxTokens` オプションを追加
+   * 2026-10-18 - トークン生成を tokenMap.js に移動し、正規化設定に対応
    * 2026-06-30 - 「.」を検索対象外文字列に追加してリファクタリング
    *****************************************************************************/
-  createTokenMapQueries(constraints) {
+  createTokenMapQueries(constraints, { maxTokens = null } = {}) {
     if (!constraints || constraints.trim().length === 0) {
       throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_CONSTRAINTS);
     }
 
-    // サロゲートペア文字（絵文字など）や Firestore のフィールドパスとして使用できない文字を除外
-    const target = constraints.replace(
-      /[\uD800-\uDBFF]|[\uDC00-\uDFFF]|~|\*|\[|\]|\.|\s+/g,
-      "",
+    // 1文字・2文字トークンを生成（重複・使用できない文字は除外）
+    const tokens = createTokens(
+      constraints,
+      this.constructor?.tokenMapNormalization,
     );
 
-    // 1文字・2文字トークンを生成し、重複を除外
-    const tokens = [
-      ...new Set([
-        ...[...target].map((_, i) => target.substring(i, i + 1)),
-        ...[...target].map((_, i) => target.substring(i, i + 2)).slice(0, -1),
-      ]),
-    ];
-
     // Firestore クエリオブジェクトを生成
-    return tokens.map((token) => where(`tokenMap.${token}`, "==", true));
+    return selectTokens(tokens, maxTokens).map((token) =>
+      where(`tokenMap.${token}`, "==", true),
+    );
   }
 
   /**
    * クエリ条件に一致するドキュメントを Firestore から取得します。
    * - `constraints` が文字列なら N-gram 検索を実行します。
+   *   `search` を指定した場合は、サーバーには絞り込み効果が高いトークンを `search.maxTokens` 件まで送信し、
+   *   取得したドキュメントを検索文字列全体のトークンでクライアント側で絞り込みます。
+   *   （`options` に `limit` を指定した場合、絞り込み後の件数は `limit` より少なくなることがあります）
+   *   `search` を指定しない場合は、従来どおりすべてのトークンをサーバーに送信します。
    * - 配列なら通常のクエリ検索を行います。
    * - `prefix` が指定されている場合は、コレクションパスの解決に使用されます。
    *
@@ -571,6 +3060,13 @@ class ClientAdapter {
    * @param {Array} [args.options=[]] - Additional query filters (ignored if constraints is an array).
    * @param {Object|null} [args.transaction=null] - Firestore transaction (optional).
    * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
+   * @param {Object|boolean|null} [args.search=null] - Opt-in client-side refinement of string search
+   *        (`true` for the defaults). Without it, all tokens are sent to the server.
+   * @param {number} [args.search.maxTokens=10] - Maximum tokens sent to the server.
+   * @param {number} [args.search.minScore=1] - Minimum ratio (0 - 1) of matched tokens.
+   * @param {boolean} [args.search.rank=false] - Sort by the ratio of matched tokens.
+   * @param {string} [args.source='default'] - Read source as in `fetch` (`'default'`, `'cache'` or `'server'`).
+   * @param {boolean} [args.withMetadata=false] - Return `{ docs, fromCache }` instead of the array.
    * @returns {Promise<Array<Object>>} Array of document data.
    * @throws {Error} If constraints are invalid or Firestore query fails.
    */
@@ -579,41 +3075,159 @@ class ClientAdapter {
     options = [],
     transaction = null,
     prefix = null,
+    search = null,
+    source = "default",
+    withMetadata = false,
   } = {}) {
-    const queryConstraints = [];
-
-    if (typeof constraints === "string") {
-      queryConstraints.push(...this.createTokenMapQueries(constraints));
-      queryConstraints.push(...this.createQueries(options));
-    } else if (Array.isArray(constraints)) {
-      queryConstraints.push(...this.createQueries(constraints));
-    } else {
-      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_CONSTRAINTS);
-    }
+    assertReadSource(source, null);
+    const searchSettings = resolveSearch(this, constraints, search);
+    const queryConstraints = resolveQueryConstraints(
+      this,
+      constraints,
+      options,
+      searchSettings,
+    );
 
     try {
       const collectionPath = this.constructor.getCollectionPath(prefix);
       const colRef = collection(
-        ClientAdapter.firestore,
+        getAdapterState(this).firestore,
         collectionPath,
       ).withConverter(this.constructor.converter());
 
       const queryRef = query(colRef, ...queryConstraints);
 
       /** transaction.get() が Query に対応した場合は以下をコメントアウト */
-      const querySnapshot = await getDocs(queryRef);
+      const querySnapshot = await getDocsFromSource(queryRef, source);
 
       /** transaction.get() が Query に対応した場合は以下を使用 */
       // const querySnapshot = transaction
       //   ? await transaction.get(queryRef)
       //   : await getDocs(queryRef);
 
-      return querySnapshot.docs.map((doc) => doc.data());
+      const docs = refineSnapshots(searchSettings, querySnapshot.docs).map(
+        (doc) => readSnapshot(doc),
+      );
+      if (withMetadata) {
+        return { docs, fromCache: querySnapshot.metadata.fromCache };
+      }
+      return docs;
+    } catch (err) {
+      if (err instanceof ClientAdapterError) {
+        throw err;
+      } else {
+        logError(this, "fetchDocs", err, { prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR);
+      }
+    }
+  }
+
+  /**
+   * Fetches one page of documents matching the query conditions.
+   * - `constraints` / `options` are interpreted the same way as `fetchDocs`.
+   * - Pass `nextCursor` or `prevCursor` of a previous result as `cursor` to move
+   *   to the next or previous page. Without `cursor`, the first page is returned.
+   * - If no `orderBy` is specified, documents are ordered by document ID so that
+   *   both directions are stable. When an inequality filter is used, specify
+   *   `orderBy` explicitly.
+   * - `limit` / `limitToLast` in `constraints` / `options` are rejected because the
+   *   page size is controlled by `pageSize`.
+   * - String search always sends all tokens to the server (`search` of `fetchDocs` is
+   *   not supported because refining on the client would break the page size).
+   *
+   * クエリ条件に一致するドキュメントを 1 ページ分取得します。
+   * - 前回の結果の `nextCursor` / `prevCursor` を `cursor` に渡すと次ページ / 前ページを取得します。
+   *
+   * @param {Object} args - Fetch options.
+   * @param {Array|string} [args.constraints=[]] - Query condition array or search string.
+   * @param {Array} [args.options=[]] - Additional query filters (ignored if constraints is an array).
+   * @param {number} [args.pageSize=20] - Number of documents per page.
+   * @param {Object|null} [args.cursor=null] - Cursor returned by a previous call.
+   * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
+   * @param {string} [args.source='default'] - Read source as in `fetch` (`'default'`, `'cache'` or `'server'`).
+   * @returns {Promise<{docs: Array<Object>, hasNext: boolean, hasPrev: boolean, nextCursor: Object|null, prevCursor: Object|null, fromCache: boolean}>}
+   *          Page of document data, cursors for the adjacent pages and whether it came from the cache.
+   * @throws {ClientAdapterError} If arguments are invalid or the query fails.
+   */
+  async fetchPage({
+    constraints = [],
+    options = [],
+    pageSize = 20,
+    cursor = null,
+    prefix = null,
+    source = "default",
+  } = {}) {
+    if (!Number.isInteger(pageSize) || pageSize <= 0) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_LIMIT);
+    }
+    assertReadSource(source, null);
+    if (cursor !== null && !(cursor instanceof PageCursor)) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_CURSOR);
+    }
+
+    const queryConstraints = resolveQueryConstraints(
+      this,
+      constraints,
+      options,
+    );
+    if (
+      queryConstraints.some(({ type }) =>
+        ["limit", "limitToLast"].includes(type),
+      )
+    ) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_CONSTRAINTS);
+    }
+
+    // Both directions must share the same ordering.
+    if (!queryConstraints.some((constraint) => constraint.type === "orderBy")) {
+      queryConstraints.push(orderBy(documentId()));
+    }
+
+    // Fetch one extra document to know whether another page exists.
+    const isPrev = cursor?.direction === "prev";
+    if (isPrev) {
+      queryConstraints.push(endBefore(cursor.snapshot));
+      queryConstraints.push(limitToLast(pageSize + 1));
+    } else {
+      if (cursor) queryConstraints.push(startAfter(cursor.snapshot));
+      queryConstraints.push(limit(pageSize + 1));
+    }
+
+    try {
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const colRef = collection(
+        getAdapterState(this).firestore,
+        collectionPath,
+      ).withConverter(this.constructor.converter());
+
+      const querySnapshot = await getDocsFromSource(
+        query(colRef, ...queryConstraints),
+        source,
+      );
+
+      const hasMore = querySnapshot.docs.length > pageSize;
+      const snapshots = isPrev
+        ? querySnapshot.docs.slice(hasMore ? 1 : 0)
+        : querySnapshot.docs.slice(0, pageSize);
+      const hasNext = isPrev ? true : hasMore;
+      const hasPrev = isPrev ? hasMore : cursor !== null;
+
+      const first = snapshots[0];
+      const last = snapshots[snapshots.length - 1];
+
+      return {
+        docs: snapshots.map((doc) => readSnapshot(doc)),
+        hasNext,
+        hasPrev,
+        nextCursor: hasNext && last ? new PageCursor("next", last) : null,
+        prevCursor: hasPrev && first ? new PageCursor("prev", first) : null,
+        fromCache: querySnapshot.metadata.fromCache,
+      };
     } catch (err) {
       if (err instanceof ClientAdapterError) {
         throw err;
       } else {
-        this._outputErrorConsole("fetchDocs", err);
+        logError(this, "fetchPage", err, { prefix });
         throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR);
       }
     }
@@ -623,57 +3237,229 @@ class ClientAdapter {
    * 指定されたドキュメント ID の配列に該当するドキュメントを取得して返します。
    * - `prefix` が指定されている場合は、コレクションパスの解決に使用されます。
    *
-   * [NOTE]
-   * - 2025/10/06 現在、transaction.get() に Query を指定することはできない仕様。
-   *   そのため、依存ドキュメントの存在確認には getDocs() を使用することになるが、
-   *   transaction 内での読み取りにならず、当該処理の直後に他のプロセスから依存ドキュメントが
-   *   追加された場合に整合性を失う可能性あり。
-   *   引数 transaction が本来であれば不要だが、将来的に transaction.get() が
-   *   Query に対応した場合に備えて引数として受け取る形にしておく。
+   * [NOTE]
+   * - 2025/10/06 現在、transaction.get() に Query を指定することはできない仕様。
+   *   そのため、依存ドキュメントの存在確認には getDocs() を使用することになるが、
+   *   transaction 内での読み取りにならず、当該処理の直後に他のプロセスから依存ドキュメントが
+   *   追加された場合に整合性を失う可能性あり。
+   *   引数 transaction が本来であれば不要だが、将来的に transaction.get() が
+   *   Query に対応した場合に備えて引数として受け取る形にしておく。
+   *
+   * @param {Object} args - Fetch options.
+   * @param {Array<string>} args.ids - Document ID の配列。
+   * @param {Object|null} [args.transaction=null] - Firestore transaction (optional).
+   * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
+   * @returns {Promise<Array<Object>>} Array of document data.
+   */
+  async fetchDocsByIds({ ids = [], transaction = null, prefix = null } = {}) {
+    try {
+      if (!Array.isArray(ids) || ids.length === 0) return [];
+
+      const uniqueIds = Array.from(new Set(ids));
+      const chunkedIds = uniqueIds.flatMap((_, i, a) => {
+        return i % 30 ? [] : [a.slice(i, i + 30)];
+      });
+
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const colRef = collection(
+        getAdapterState(this).firestore,
+        collectionPath,
+      ).withConverter(this.constructor.converter());
+
+      const querySnapshotArray = await Promise.all(
+        chunkedIds.map((chunkedId) => {
+          const q = query(colRef, where("docId", "in", chunkedId));
+          return getDocs(q);
+          /** transaction.get() が Query に対応した場合は以下を使用 */
+          // return transaction ? transaction.get(q) : getDocs(q);
+        }),
+      );
+
+      return querySnapshotArray.flatMap((snapshot) =>
+        snapshot.docs.map((doc) => readSnapshot(doc)),
+      );
+    } catch (err) {
+      if (err instanceof ClientAdapterError) {
+        throw err;
+      } else {
+        logError(this, "fetchDocsByIds", err, { prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR);
+      }
+    }
+  }
+
+  /**
+   * Counts the documents matching the query conditions without downloading them.
+   * - `constraints` / `options` / `prefix` are interpreted the same way as `fetchDocs`.
+   *
+   * クエリ条件に一致するドキュメント数を、ドキュメントを取得せずに返します。
+   *
+   * @param {Object} args - Aggregation options.
+   * @param {Array|string} [args.constraints=[]] - Query condition array or search string.
+   * @param {Array} [args.options=[]] - Additional query filters (ignored if constraints is an array).
+   * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
+   * @returns {Promise<number>} Number of matching documents.
+   * @throws {ClientAdapterError} If constraints are invalid or the query fails.
+   */
+  async fetchCount(args = {}) {
+    try {
+      const result = await runAggregation(this, { count: ["count"] }, args);
+      return result.count;
+    } catch (err) {
+      if (err instanceof ClientAdapterError) {
+        throw err;
+      } else {
+        logError(this, "fetchCount", err, { prefix: args.prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
+      }
+    }
+  }
+
+  /**
+   * Returns the sum of `field` over the documents matching the query conditions.
+   * - Non-numeric values are ignored by Firestore.
+   *
+   * クエリ条件に一致するドキュメントの `field` の合計値を返します。
+   *
+   * @param {Object} args - Aggregation options.
+   * @param {string} args.field - Field to sum.
+   * @param {Array|string} [args.constraints=[]] - Query condition array or search string.
+   * @param {Array} [args.options=[]] - Additional query filters (ignored if constraints is an array).
+   * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
+   * @returns {Promise<number>} Sum of the field (0 if no documents match).
+   * @throws {ClientAdapterError} If `field` is missing, constraints are invalid or the query fails.
+   */
+  async fetchSum({ field, ...args } = {}) {
+    try {
+      const result = await runAggregation(this, { sum: ["sum", field] }, args);
+      return result.sum;
+    } catch (err) {
+      if (err instanceof ClientAdapterError) {
+        throw err;
+      } else {
+        logError(this, "fetchSum", err, { prefix: args.prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
+      }
+    }
+  }
+
+  /**
+   * Returns the average of `field` over the documents matching the query conditions.
+   * - Non-numeric values are ignored by Firestore.
+   *
+   * クエリ条件に一致するドキュメントの `field` の平均値を返します。
+   *
+   * @param {Object} args - Aggregation options.
+   * @param {string} args.field - Field to average.
+   * @param {Array|string} [args.constraints=[]] - Query condition array or search string.
+   * @param {Array} [args.options=[]] - Additional query filters (ignored if constraints is an array).
+   * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
+   * @returns {Promise<number|null>} Average of the field, or null if there is nothing to average.
+   * @throws {ClientAdapterError} If `field` is missing, constraints are invalid or the query fails.
+   */
+  async fetchAverage({ field, ...args } = {}) {
+    try {
+      const result = await runAggregation(
+        this,
+        { average: ["average", field] },
+        args,
+      );
+      return result.average;
+    } catch (err) {
+      if (err instanceof ClientAdapterError) {
+        throw err;
+      } else {
+        logError(this, "fetchAverage", err, { prefix: args.prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
+      }
+    }
+  }
+
+  /**
+   * Runs several aggregations over the same query at once.
+   * - `aggregates` maps an alias to `['count']`, `['sum', field]` or `['average', field]`.
+   * - e.g. `{ customers: ['count'], total: ['sum', 'amount'] }` -> `{ customers: 1234, total: 56789 }`
+   *
+   * 同じクエリ条件に対して複数の集計を一度に実行します。
+   *
+   * @param {Object} args - Aggregation options.
+   * @param {Object} args.aggregates - Aggregation definitions keyed by alias.
+   * @param {Array|string} [args.constraints=[]] - Query condition array or search string.
+   * @param {Array} [args.options=[]] - Additional query filters (ignored if constraints is an array).
+   * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
+   * @returns {Promise<Object>} Aggregation results keyed by alias.
+   * @throws {ClientAdapterError} If `aggregates` or constraints are invalid, or the query fails.
+   */
+  async fetchAggregate({ aggregates, ...args } = {}) {
+    try {
+      return await runAggregation(this, aggregates, args);
+    } catch (err) {
+      if (err instanceof ClientAdapterError) {
+        throw err;
+      } else {
+        logError(this, "fetchAggregate", err, { prefix: args.prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
+      }
+    }
+  }
+
+  /**
+   * Returns whether `createdAt` / `updatedAt` of this instance are still waiting
+   * for the server timestamps to be resolved.
+   * - This happens when the adapter uses server timestamps and the write was made
+   *   in a caller-provided transaction or by bulk operations, or when reading the
+   *   timestamps back failed (a warning is logged).
+   * - While `updatedAt` is pending, optimistic locking on it throws
+   *   `VALIDATION/TIMESTAMPS_PENDING`.
+   *
+   * サーバータイムスタンプの確定待ちかどうかを返します。
+   *
+   * @returns {boolean} True if the timestamps are pending.
+   */
+  hasPendingTimestamps() {
+    return pendingTimestamps.has(this);
+  }
+
+  /**
+   * Reads the server timestamps written for this instance and applies them.
+   * - Call this after committing a caller-provided transaction.
+   * - Until then, `createdAt` / `updatedAt` hold the client time as an estimate.
+   *
+   * 書き込まれたサーバータイムスタンプを読み込み、インスタンスに反映します。
+   * - 呼び出し側のトランザクションをコミットした後に実行してください。
    *
-   * @param {Object} args - Fetch options.
-   * @param {Array<string>} args.ids - Document ID の配列。
-   * @param {Object|null} [args.transaction=null] - Firestore transaction (optional).
-   * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
-   * @returns {Promise<Array<Object>>} Array of document data.
+   * @returns {Promise<boolean>} True if resolved, false if nothing is pending or not yet committed.
+   * @throws {ClientAdapterError} If reading the document fails.
    */
-  async fetchDocsByIds({ ids = [], transaction = null, prefix = null } = {}) {
+  async resolveTimestamps() {
     try {
-      if (!Array.isArray(ids) || ids.length === 0) return [];
-
-      const uniqueIds = Array.from(new Set(ids));
-      const chunkedIds = uniqueIds.flatMap((_, i, a) => {
-        return i % 30 ? [] : [a.slice(i, i + 30)];
-      });
-
-      const collectionPath = this.constructor.getCollectionPath(prefix);
-      const colRef = collection(
-        ClientAdapter.firestore,
-        collectionPath,
-      ).withConverter(this.constructor.converter());
-
-      const querySnapshotArray = await Promise.all(
-        chunkedIds.map((chunkedId) => {
-          const q = query(colRef, where("docId", "in", chunkedId));
-          return getDocs(q);
-          /** transaction.get() が Query に対応した場合は以下を使用 */
-          // return transaction ? transaction.get(q) : getDocs(q);
-        }),
-      );
-
-      return querySnapshotArray.flatMap((snapshot) =>
-        snapshot.docs.map((doc) => doc.data()),
-      );
+      return await resolvePendingTimestamps(this);
     } catch (err) {
       if (err instanceof ClientAdapterError) {
         throw err;
       } else {
-        this._outputErrorConsole("fetchDocsByIds", err);
-        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR);
+        logError(this, "resolveTimestamps", err);
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
       }
     }
   }
 
+  /**
+   * Returns the fields changed since this instance was loaded.
+   * - The instance must have been loaded by `fetch()`, `subscribe()`, `fetchDocs()` etc.,
+   *   or written by `create()` / `update()`.
+   * - Nested maps are compared per field and reported with dotted paths (e.g. `address.city`).
+   * - `after` is `undefined` for removed fields.
+   *
+   * 読み込み時点から変更されたフィールドの一覧を返します。
+   *
+   * @returns {Array<{path: string, fieldPath: Array<string>, before: any, after: any}>|null}
+   *          Changed fields, or null if the instance has not been loaded.
+   */
+  getChanges() {
+    return computeChanges(this);
+  }
+
   /**
    * Updates the Firestore document using the current instance data.
    * - Requires `this.docId` to be set (must call `fetch()` beforehand).
@@ -686,6 +3472,15 @@ class ClientAdapter {
    * - 更新はトランザクション内で行われます。トランザクションが指定されない場合は新たに生成されます。
    * - `callback` が指定されていれば、更新後に実行されます。
    * - `prefix` が指定されている場合は、コレクションパスの解決に使用されます。
+   * - `partial` が true の場合、読み込み時点から変更されたフィールドのみを更新します。
+   *   （`fetch()` / `subscribe()` などで読み込まれたインスタンスである必要があります）
+   *   変更点は `args.changes` としてフックに渡されます。
+   * - `optimisticLock` が有効な場合、トランザクション内で保存済みのバージョン（既定は `updatedAt`）を
+   *   読み込み時点の値と比較し、異なれば `DATABASE/VERSION_CONFLICT` をスローします。
+   *   `{ field: 'version' }` を指定した場合、そのフィールドを更新のたびにインクリメントします。
+   *   読み込まれていないインスタンスの場合は `VALIDATION/INSTANCE_NOT_LOADED` をスローします。
+   *   サーバータイムスタンプが確定していない `updatedAt` は比較できないため、
+   *   `VALIDATION/TIMESTAMPS_PENDING` をスローします（`resolveTimestamps()` を実行してください）。
    *
    * @param {Object} args - Parameters for update operation.
    *                        更新処理のためのパラメータ。
@@ -695,13 +3490,25 @@ class ClientAdapter {
    *                                               更新後に実行されるコールバック関数。
    * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
    *                                           コレクションパスのプレフィックス（任意）。
+   * @param {boolean} [args.partial] - Write only changed fields. Defaults to the class's `partialUpdate`.
+   *                                   変更されたフィールドのみを更新するかどうか。既定値はクラスの `partialUpdate`。
+   * @param {boolean|Object} [args.optimisticLock] - `true` or `{ field }`. Defaults to the class's `optimisticLock`.
+   *                                                楽観的排他制御の設定。既定値はクラスの `optimisticLock`。
    * @returns {Promise<DocumentReference>} Reference to the updated document.
    *                                       更新されたドキュメントのリファレンス。
    * @throws {Error} If `docId` is not set, or if `callback` is not a function.
    *                 `docId` が未設定、または `callback` が関数でない場合にスローされます。
+   * @throws {ClientAdapterError} `DATABASE/VERSION_CONFLICT` if the document was changed since it was loaded.
+   *                              読み込み後にドキュメントが更新されていた場合にスローされます。
    */
   async update(args = {}) {
-    const { transaction = null, callback = null, prefix = null } = args;
+    const {
+      transaction = null,
+      callback = null,
+      prefix = null,
+      partial = this.constructor.partialUpdate === true,
+      optimisticLock,
+    } = args;
     if (callback !== null && typeof callback !== "function") {
       throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_CALLBACK);
     }
@@ -710,30 +3517,80 @@ class ClientAdapter {
       throw new ClientAdapterError(ERRORS.VALIDATION_MISSING_DOC_ID);
     }
 
+    if (partial && !loadedStates.has(this)) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INSTANCE_NOT_LOADED);
+    }
+
     try {
-      await this.beforeUpdate(args);
-      await this.beforeEdit(args);
+      // Pass the change set to hooks so that they can react to it.
+      const hookArgs = partial
+        ? { ...args, changes: computeChanges(this) }
+        : args;
+      await this.beforeUpdate(hookArgs);
+      await this.beforeEdit(hookArgs);
       this.validate();
 
       const performTransaction = async (txn) => {
         const collectionPath = this.constructor.getCollectionPath(prefix);
         const colRef = collection(
-          ClientAdapter.firestore,
+          getAdapterState(this).firestore,
           collectionPath,
         ).withConverter(this.constructor.converter());
         const docRef = doc(colRef, this.docId);
 
+        // Reject the update if the stored version differs from the loaded one.
+        const lockField = resolveLockField(this, optimisticLock);
+        if (lockField) {
+          const version = assertLoadedVersion(
+            this,
+            await txn.get(docRef),
+            lockField,
+          );
+          if (lockField !== "updatedAt") this[lockField] = (version || 0) + 1;
+        }
+
         this.updatedAt = new Date();
-        this.uid = ClientAdapter.auth?.currentUser?.uid || "unknown";
+        this.uid = getAdapterState(this).auth?.currentUser?.uid || "unknown";
 
-        txn.set(docRef, this);
+        if (partial) {
+          // Write only changed paths. Removed fields are deleted.
+          const useServerTimestamp = getAdapterState(this).serverTimestamps;
+          const fieldsAndValues = computeChanges(this)
+            .filter(({ path }) => !useServerTimestamp || path !== "updatedAt")
+            .flatMap(({ fieldPath, after }) => [
+              new FieldPath(...fieldPath),
+              after === undefined ? deleteField() : after,
+            ]);
+          if (useServerTimestamp) {
+            fieldsAndValues.push(new FieldPath("updatedAt"), serverTimestamp());
+            pendingTimestamps.set(this, {
+              docRef: docRef.withConverter(null),
+              fields: ["updatedAt"],
+            });
+          }
+          if (fieldsAndValues.length) txn.update(docRef, ...fieldsAndValues);
+        } else {
+          const write = prepareTimestampedWrite(this, docRef, ["updatedAt"]);
+          txn.set(write.ref, write.data);
+        }
+        recordTransactionWrite(txn, docRef, true);
         if (callback) await callback(txn);
         return docRef;
       };
 
       const docRef = transaction
         ? await performTransaction(transaction)
-        : await runTransaction(ClientAdapter.firestore, performTransaction);
+        : await runTransaction(
+            getAdapterState(this).firestore,
+            performTransaction,
+          );
+
+      rememberLoadedState(this);
+
+      // The caller commits its own transaction, so timestamps stay pending.
+      if (!transaction) {
+        await tryResolvePendingTimestamps(this, "update");
+      }
 
       return docRef;
     } catch (err) {
@@ -744,7 +3601,7 @@ class ClientAdapter {
         // throw new ClientAdapterError(ERRORS.VALIDATION_FIELD_ERROR, err);
         throw err;
       } else {
-        this._outputErrorConsole("update", err);
+        logError(this, "update", err, { prefix });
         throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
       }
     }
@@ -753,6 +3610,7 @@ class ClientAdapter {
   /**
    * Checks if any child documents exist for this document, based on `hasMany` configuration.
    * - For collections, the prefix is applied to the collection path.
+   * - Stops at the first match. Use `getDependencyReport()` to check every relation.
    *
    * [NOTE]
    * - 2025/10/06 現在、transaction.get() に Query を指定することはできない仕様。
@@ -775,16 +3633,10 @@ class ClientAdapter {
       }
 
       for (const item of this.constructor.hasMany) {
-        const collectionPath =
-          item.type === "collection" && prefix
-            ? `${prefix}${item.collectionPath}`
-            : item.collectionPath;
-        const colRef =
-          item.type === "collection"
-            ? collection(ClientAdapter.firestore, collectionPath)
-            : collectionGroup(ClientAdapter.firestore, item.collectionPath);
-        const constraint = where(item.field, item.condition, this.docId);
-        const queryRef = query(colRef, constraint, limit(1));
+        const queryRef = query(
+          createHasManyQuery(this, item, prefix),
+          limit(1),
+        );
 
         /** transaction.get() が Query に対応した場合は以下をコメントアウト */
         const snapshot = await getDocs(queryRef);
@@ -802,22 +3654,153 @@ class ClientAdapter {
       if (err instanceof ClientAdapterError) {
         throw err;
       } else {
-        this._outputErrorConsole("hasChild", err);
+        logError(this, "hasChild", err, { prefix });
         throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR);
       }
     }
   }
 
+  /**
+   * Returns a report of the documents that depend on this document, checking every
+   * `hasMany` entry (both `collection` and `collectionGroup`).
+   * - Each relation reports whether dependents exist, their count and sample doc IDs.
+   * - Counts are capped at `countLimit` unless `exactCount` is true (`capped` tells
+   *   whether the cap was reached).
+   * - `blocking` is true if a `restrict` relation has dependents, i.e. `delete()` would fail.
+   *
+   * `hasMany` のすべての設定について、このドキュメントを参照しているドキュメントの状況を返します。
+   *
+   * @param {Object} args - Report options.
+   * @param {string|null} [args.prefix=null] - Optional path prefix for resolving collections.
+   * @param {number} [args.sampleSize=5] - Max number of sample document IDs per relation.
+   * @param {boolean} [args.exactCount=false] - Count all dependents.
+   * @param {number} [args.countLimit=100] - Cap for the count when `exactCount` is false.
+   * @returns {Promise<{hasDependents: boolean, blocking: boolean, relations: Array<Object>}>}
+   *          `relations` has `{ collectionPath, type, field, condition, onDelete, exists, count, capped, sampleDocIds }`.
+   * @throws {ClientAdapterError} If `docId` is not set, the options are invalid or query fails.
+   */
+  async getDependencyReport({
+    prefix = null,
+    sampleSize = DEFAULT_REPORT_OPTIONS.sampleSize,
+    exactCount = DEFAULT_REPORT_OPTIONS.exactCount,
+    countLimit = DEFAULT_REPORT_OPTIONS.countLimit,
+  } = {}) {
+    if (!this.docId) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_MISSING_DOC_ID);
+    }
+    if (!isValidReportOptions({ sampleSize, exactCount, countLimit })) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_REPORT_OPTIONS);
+    }
+
+    try {
+      return await buildDependencyReport(this, prefix, {
+        sampleSize,
+        exactCount,
+        countLimit,
+      });
+    } catch (err) {
+      if (err instanceof ClientAdapterError) {
+        throw err;
+      } else {
+        logError(this, "getDependencyReport", err, { prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
+      }
+    }
+  }
+
+  /**
+   * Lists the documents that would be affected by `delete()`, based on the
+   * `onDelete` policy of each `hasMany` entry, without changing anything.
+   * - Relations of documents deleted by `cascade` (the `hasMany` of the child model)
+   *   are listed as well, right after the relation that cascades to them.
+   *
+   * `delete()` を実行した場合に影響を受けるドキュメントを、変更を加えずに返します。
+   *
+   * @param {Object} args - Preview options.
+   * @param {string|null} [args.prefix=null] - Optional path prefix for resolving collections.
+   * @returns {Promise<{deletable: boolean, relations: Array<Object>}>}
+   *          `relations` has `{ collectionPath, type, field, onDelete, parentPath, docIds, paths }`
+   *          per `hasMany` entry, where `parentPath` is the path of the referenced document.
+   *          `deletable` is false if any `restrict` relation has referencing documents.
+   * @throws {ClientAdapterError} If `docId` is not set or query fails.
+   */
+  async previewDelete({ prefix = null } = {}) {
+    if (!this.docId) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_MISSING_DOC_ID);
+    }
+
+    try {
+      const dependents = await collectDependents(
+        this,
+        prefix || this.constructor?.config?.prefix,
+        { restrictLimit: null },
+      );
+
+      // Relations of cascaded child documents follow their parent relation.
+      const toRelations = (parentPath, entries) =>
+        entries.flatMap(({ item, policy, snapshots, children }) => [
+          {
+            collectionPath: item.collectionPath,
+            type: item.type,
+            field: item.field,
+            onDelete: policy,
+            parentPath,
+            docIds: snapshots.map(({ id }) => id),
+            paths: snapshots.map(({ ref }) => ref.path),
+          },
+          ...(children || []).flatMap((child) =>
+            toRelations(child.path, child.dependents),
+          ),
+        ]);
+      const relations = toRelations(
+        `${this.constructor.getCollectionPath(prefix)}/${this.docId}`,
+        dependents,
+      );
+
+      return {
+        deletable: !relations.some(
+          ({ onDelete, docIds }) => onDelete === "restrict" && docIds.length,
+        ),
+        relations,
+      };
+    } catch (err) {
+      if (err instanceof ClientAdapterError) {
+        throw err;
+      } else {
+        logError(this, "previewDelete", err, { prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
+      }
+    }
+  }
+
   /**
    * Deletes the document corresponding to the current `docId`.
    * - If `logicalDelete` is enabled, the document is moved to an archive collection instead of being permanently deleted.
+   *   The archived copy records `deletedAt` and `deletedBy` (uid of the current user).
    * - If `transaction` is provided, the deletion is executed within it.
    * - If `prefix` is provided, it will be used to resolve the collection path.
    *
    * 現在の `docId` に該当するドキュメントを削除します。
    * - `logicalDelete` が true の場合、ドキュメントは物理削除されず、アーカイブコレクションに移動されます。
+   *   アーカイブには削除日時 `deletedAt` と削除したユーザーの uid `deletedBy` が記録されます。
    * - `transaction` が指定されている場合、その中で処理が実行されます。
    * - `prefix` が指定されている場合、それを使ってコレクションパスを解決します。
+   * - `optimisticLock` が有効な場合、読み込み時点から更新されたドキュメントは削除（アーカイブ）しません。
+   *   （`DATABASE/VERSION_CONFLICT`。読み込まれていないインスタンスの場合は `VALIDATION/INSTANCE_NOT_LOADED`、
+   *   サーバータイムスタンプが確定していない場合は `VALIDATION/TIMESTAMPS_PENDING`）
+   * - `hasMany` の各設定の `onDelete` に従って、参照しているドキュメントを処理します。
+   *   - `restrict`（既定）: 参照しているドキュメントが存在する場合は削除しません。
+   *     スローされるエラーの `details.report` に `getDependencyReport()` と同じ形式のレポートが入ります。
+   *     （`details.path` は削除を妨げているドキュメントのパス。削除対象自身の場合は null）
+   *   - `cascade`: 参照しているドキュメントも削除します。`hasMany` の `model` に子モデルのクラスを指定してください。
+   *     子モデルの `logicalDelete` が true ならアーカイブし、子モデルの `hasMany` に従って孫ドキュメントも処理します。
+   *   - `clear`: 参照しているドキュメントの参照フィールドを `clearValue`（既定は null）にします。
+   *   処理対象が 1 トランザクションに収まらない場合は `BUSINESS/CASCADE_TOO_LARGE` をスローします。
+   *   `allowNonAtomic: true` の場合に限り、削除対象のチェック（存在、バージョン）の後に参照しているドキュメントを
+   *   バッチで処理し、最後に削除対象を削除します（この場合、全体としては原子的ではありません）。
+   *   参照しているドキュメントはトランザクションの外で検索されるため、検索後に追加されたものは処理されません。
+   * - `useCounter` が true の場合、同じトランザクション内でカウンタードキュメントを減算します。
+   *   （ドキュメントが存在しない場合は減算しません。cascade で削除される参照ドキュメントのカウンターは更新されません）
    *
    * @param {Object} args - Parameters for deletion.
    *                        削除処理のパラメータ。
@@ -827,139 +3810,418 @@ class ClientAdapter {
    *                                               削除後に実行されるコールバック関数（任意）。
    * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
    *                                           コレクションパスのプレフィックス（任意）。
+   * @param {boolean|Object} [args.optimisticLock] - `true` or `{ field }`. Defaults to the class's `optimisticLock`.
+   *                                                楽観的排他制御の設定。既定値はクラスの `optimisticLock`。
+   * @param {boolean} [args.allowNonAtomic=false] - Write child documents that do not fit in the
+   *                                               transaction in batches beforehand.
+   *                                               1 トランザクションに収まらない参照ドキュメントを先にバッチで処理するかどうか。
    * @returns {Promise<void>} Resolves when deletion is complete.
    *                          削除が完了したら解決されるプロミス。
    * @throws {Error} If `docId` is missing, `callback` is not a function, or document is undeletable.
    *                 `docId` が未設定、`callback` が関数でない、または削除対象のドキュメントが存在しない場合。
    */
   async delete(args = {}) {
-    const { transaction = null, callback = null, prefix = null } = args;
+    const {
+      transaction = null,
+      callback = null,
+      prefix = null,
+      optimisticLock,
+      allowNonAtomic = false,
+    } = args;
     if (callback !== null && typeof callback !== "function") {
       throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_CALLBACK);
     }
 
-    if (!this.docId) {
+    if (!this.docId) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_MISSING_DOC_ID);
+    }
+
+    try {
+      await this.beforeDelete(args);
+
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const colRef = collection(
+        getAdapterState(this).firestore,
+        collectionPath,
+      );
+      const docRef = doc(colRef, this.docId);
+
+      // Check for child documents before deletion
+      // If `restrict` child documents exist, throw an error to prevent deletion
+      // The error carries the dependency report in `details.report`.
+      const hasManyPrefix = prefix || this.constructor?.config?.prefix;
+      const dependents = await collectDependents(this, hasManyPrefix);
+      await assertNotRestricted(this, dependents, hasManyPrefix);
+
+      // Checks on the document itself, run before anything is written.
+      const lockField = resolveLockField(this, optimisticLock);
+      const { logicalDelete } = this.constructor;
+      const assertDeletable = (snapshot) => {
+        // Reject the deletion if the stored version differs from the loaded one.
+        if (lockField) assertLoadedVersion(this, snapshot, lockField);
+        if (logicalDelete && !snapshot.exists()) {
+          throw new ClientAdapterError(ERRORS.DATABASE_DOCUMENT_NOT_FOUND);
+        }
+      };
+
+      // Cascade / clear the child documents in the same transaction. If they do
+      // not fit, they are written in batches only when `allowNonAtomic` is true,
+      // after the document has been checked. The document is deleted last.
+      const childWrites = createDependentWrites(this, dependents);
+      const writeChildrenInTransaction =
+        childWrites.length <= MAX_CASCADE_WRITES_IN_TRANSACTION;
+      if (!writeChildrenInTransaction) {
+        if (transaction || !allowNonAtomic) {
+          throw new ClientAdapterError(
+            ERRORS.BUSINESS_CASCADE_TOO_LARGE,
+            null,
+            {
+              writes: childWrites.length,
+              max: MAX_CASCADE_WRITES_IN_TRANSACTION,
+            },
+          );
+        }
+        if (lockField || logicalDelete) assertDeletable(await getDoc(docRef));
+        await commitInBatches(this, childWrites);
+      }
+
+      const performTransaction = async (txn) => {
+        // Fetch the document to be deleted
+        // This is necessary because in a transaction, docRef.get() cannot be used directly
+        // and we need to ensure the document exists before archiving
+        // The counter is only decremented if the document actually exists.
+        const counterWrite = createCounterWrite(this, prefix, -1);
+        const sourceDocSnap =
+          lockField || logicalDelete || counterWrite
+            ? await txn.get(docRef)
+            : null;
+        if (sourceDocSnap) assertDeletable(sourceDocSnap);
+
+        // If logicalDelete is enabled, archive the document before deletion
+        if (logicalDelete) {
+          const sourceDocData = sourceDocSnap.data();
+          const archiveColRef = collection(
+            getAdapterState(this).firestore,
+            `${collectionPath}_archive`,
+          );
+          const archiveDocRef = doc(archiveColRef, this.docId);
+          txn.set(archiveDocRef, {
+            ...sourceDocData,
+            ...createArchiveMetadata(this),
+          });
+          recordTransactionWrite(txn, archiveDocRef, true);
+        }
+
+        txn.delete(docRef);
+        recordTransactionWrite(txn, docRef, false);
+
+        if (writeChildrenInTransaction) {
+          childWrites.forEach((write) => write(txn));
+        }
+
+        // Update counter document if `useCounter` is enabled
+        if (counterWrite && sourceDocSnap.exists()) counterWrite(txn);
+
+        if (callback) await callback(txn);
+      };
+
+      if (transaction) {
+        await performTransaction(transaction);
+      } else {
+        await runTransaction(
+          getAdapterState(this).firestore,
+          performTransaction,
+        );
+      }
+    } catch (err) {
+      if (err instanceof ClientAdapterError) {
+        throw err;
+      } else {
+        logError(this, "delete", err, { prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR);
+      }
+    }
+  }
+
+  /**
+   * Restores a deleted document from the archive collection to the original collection.
+   * - Uses `prefix` to resolve the Firestore collection path.
+   * - If a live document with the same `docId` exists, `onConflict` decides what to do:
+   *   - `'fail'` (default): throws `BUSINESS/RESTORE_CONFLICT`.
+   *   - `'overwrite'`: overwrites the live document.
+   *   - `'newId'`: restores the document under a newly generated ID.
+   * - `updatedAt` and `uid` are re-stamped, and the deletion metadata is removed.
+   *   With `serverTimestamps`, `updatedAt` is a server timestamp as in `update()`.
+   * - The restored document is loaded into this instance (as with `fetch()`).
+   * - If `validate` is true, the model's `validate()` is run on the data to be written
+   *   (after re-stamping) first.
+   * - If `dryRun` is true, nothing is written and a report of what would happen is returned.
+   * - If `useCounter` is enabled, the counter document is incremented unless a live
+   *   document is overwritten.
+   *
+   * アーカイブコレクションから削除されたドキュメントを元のコレクションに復元します。
+   * - `prefix` が指定されていれば、それに基づいてコレクションパスを解決します。
+   * - 同じ `docId` のドキュメントが既に存在する場合は `onConflict` に従います。
+   * - `dryRun` が true の場合は書き込みを行わず、実行結果の見込みを返します。
+   *
+   * @param {Object} args - Restore options.
+   * @param {string} args.docId - Document ID to restore.
+   * @param {string|null} [args.prefix=null] - Optional path prefix.
+   * @param {Object|null} [args.transaction=null] - Firestore transaction (optional).
+   * @param {string} [args.onConflict='fail'] - `'fail'`, `'overwrite'` or `'newId'`.
+   * @param {boolean} [args.validate=false] - Run the model's validation before restoring.
+   * @param {boolean} [args.dryRun=false] - Report the result without writing.
+   * @returns {Promise<DocumentReference|Object>} Reference to the restored document, or
+   *          `{ docId, targetDocId, action, conflict, validationError }` if `dryRun` is true.
+   *          `action` is one of `'restore'`, `'overwrite'`, `'newId'` or `'fail'`.
+   * @throws {Error} If document is not found in the archive, a conflict occurs with
+   *                 `onConflict: 'fail'`, or validation fails.
+   */
+  async restore({
+    docId,
+    prefix = null,
+    transaction = null,
+    onConflict = "fail",
+    validate = false,
+    dryRun = false,
+  } = {}) {
+    if (!docId) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_MISSING_DOC_ID);
+    }
+    if (!["fail", "overwrite", "newId"].includes(onConflict)) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_CONFLICT_POLICY);
+    }
+    try {
+      const performTransaction = async (txn) => {
+        const collectionPath = this.constructor.getCollectionPath(prefix);
+        const archivePath = `${collectionPath}_archive`;
+        const archiveColRef = collection(
+          getAdapterState(this).firestore,
+          archivePath,
+        );
+        const archiveDocRef = doc(archiveColRef, docId);
+        const docSnapshot = await txn.get(archiveDocRef);
+        if (!docSnapshot.exists()) {
+          throw new ClientAdapterError(ERRORS.DATABASE_DOCUMENT_NOT_FOUND);
+        }
+
+        // Check whether a live document with the same ID has been created since.
+        const colRef = collection(
+          getAdapterState(this).firestore,
+          collectionPath,
+        );
+        const liveDocSnapshot = await txn.get(doc(colRef, docId));
+        const conflict = liveDocSnapshot.exists();
+        const action = conflict ? onConflict : "restore";
+
+        if (action === "fail" && !dryRun) {
+          throw new ClientAdapterError(ERRORS.BUSINESS_RESTORE_CONFLICT, null, {
+            docId,
+          });
+        }
+
+        const docRef = action === "newId" ? doc(colRef) : doc(colRef, docId);
+
+        // Build the restored instance and re-stamp metadata, so that validation
+        // runs on the data that is actually written.
+        const restored = this.constructor
+          .converter()
+          .fromFirestore(docSnapshot);
+        ARCHIVE_METADATA_FIELDS.forEach((field) => delete restored[field]);
+        restored.docId = docRef.id;
+        restored.updatedAt = new Date();
+        restored.uid =
+          getAdapterState(this).auth?.currentUser?.uid || "unknown";
+
+        let validationError = null;
+        if (validate) {
+          try {
+            restored.validate();
+          } catch (err) {
+            if (!dryRun || err.name !== "ValidationError") throw err;
+            validationError = err;
+          }
+        }
+
+        if (dryRun) {
+          return {
+            docId,
+            targetDocId: action === "fail" ? null : docRef.id,
+            action,
+            conflict,
+            validationError,
+          };
+        }
+
+        this.initialize(restored);
+        txn.delete(archiveDocRef);
+        recordTransactionWrite(txn, archiveDocRef, false);
+        const write = prepareTimestampedWrite(
+          this,
+          docRef.withConverter(this.constructor.converter()),
+          ["updatedAt"],
+        );
+        txn.set(write.ref, write.data);
+        recordTransactionWrite(txn, docRef, true);
+
+        // Overwriting a live document does not change the number of documents.
+        if (action !== "overwrite") createCounterWrite(this, prefix, 1)?.(txn);
+
+        return docRef;
+      };
+
+      const result = transaction
+        ? await performTransaction(transaction)
+        : await runTransaction(
+            getAdapterState(this).firestore,
+            performTransaction,
+          );
+      if (dryRun) return result;
+
+      rememberLoadedState(this);
+
+      // The caller commits its own transaction, so timestamps stay pending.
+      if (!transaction) {
+        await tryResolvePendingTimestamps(this, "restore");
+      }
+
+      return result;
+    } catch (err) {
+      if (err instanceof ClientAdapterError) {
+        throw err;
+      } else if (err.name === "ValidationError") {
+        // BaseClass のエラーをそのままスローする
+        throw err;
+      } else {
+        logError(this, "restore", err, { docId, prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR);
+      }
+    }
+  }
+
+  /**
+   * Fetches archived documents matching the query conditions.
+   * - Archived documents are those moved to `${collectionPath}_archive` by `delete()`
+   *   with `logicalDelete` enabled.
+   * - `constraints` / `options` / `prefix` are interpreted the same way as `fetchDocs`.
+   * - Each returned instance has `deletedAt` and `deletedBy` (null for documents
+   *   archived before the deletion metadata was recorded).
+   *
+   * アーカイブされたドキュメントをクエリ条件で取得します。
+   *
+   * @param {Object} args - Fetch options.
+   * @param {Array|string} [args.constraints=[]] - Query condition array or search string.
+   * @param {Array} [args.options=[]] - Additional query filters (ignored if constraints is an array).
+   * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
+   * @returns {Promise<Array<Object>>} Array of archived document data.
+   * @throws {ClientAdapterError} If constraints are invalid or the query fails.
+   */
+  async fetchArchivedDocs({
+    constraints = [],
+    options = [],
+    prefix = null,
+  } = {}) {
+    const queryConstraints = resolveQueryConstraints(
+      this,
+      constraints,
+      options,
+    );
+
+    try {
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const archiveColRef = collection(
+        getAdapterState(this).firestore,
+        `${collectionPath}_archive`,
+      ).withConverter(this.constructor.converter());
+
+      const querySnapshot = await getDocs(
+        query(archiveColRef, ...queryConstraints),
+      );
+
+      return querySnapshot.docs.map((doc) => readArchivedSnapshot(doc));
+    } catch (err) {
+      if (err instanceof ClientAdapterError) {
+        throw err;
+      } else {
+        logError(this, "fetchArchivedDocs", err, { prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
+      }
+    }
+  }
+
+  /**
+   * Fetches an archived document by its ID.
+   *
+   * アーカイブされたドキュメントを ID で取得します。
+   *
+   * @param {Object} args - Fetch options.
+   * @param {string} args.docId - Document ID to fetch.
+   * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
+   * @returns {Promise<Object|null>} Archived document data, or null if not found.
+   * @throws {ClientAdapterError} If `docId` is not specified or the fetch fails.
+   */
+  async fetchArchivedDoc({ docId, prefix = null } = {}) {
+    if (!docId) {
       throw new ClientAdapterError(ERRORS.VALIDATION_MISSING_DOC_ID);
     }
 
     try {
-      await this.beforeDelete(args);
-
       const collectionPath = this.constructor.getCollectionPath(prefix);
-      const colRef = collection(ClientAdapter.firestore, collectionPath);
-      const docRef = doc(colRef, this.docId);
-
-      const performTransaction = async (txn) => {
-        // Check for child documents before deletion
-        // If child documents exist, throw an error to prevent deletion
-        const hasChild = await this.hasChild({
-          transaction: txn,
-          prefix: prefix || this.constructor?.config?.prefix,
-        });
-        if (hasChild) {
-          throw new ClientAdapterError(ERRORS.BUSINESS_CHILD_DOCUMENTS_EXIST);
-        }
-
-        // Get function to update counter document.
-        // const adapter = this.constructor.getAdapter();
-        // const counterUpdater = await adapter.getCounterUpdater.bind(this)({
-        //   transaction: txn,
-        //   increment: false,
-        //   prefix,
-        // });
-
-        // If logicalDelete is enabled, archive the document before deletion
-        if (this.constructor.logicalDelete) {
-          // Fetch the document to be deleted
-          // This is necessary because in a transaction, docRef.get() cannot be used directly
-          // and we need to ensure the document exists before archiving
-          const sourceDocSnap = await txn.get(docRef);
-          if (!sourceDocSnap.exists()) {
-            throw new ClientAdapterError(ERRORS.DATABASE_DOCUMENT_NOT_FOUND);
-          }
-
-          const sourceDocData = sourceDocSnap.data();
-          const archiveColRef = collection(
-            ClientAdapter.firestore,
-            `${collectionPath}_archive`,
-          );
-          const archiveDocRef = doc(archiveColRef, this.docId);
-          txn.set(archiveDocRef, sourceDocData);
-        }
-
-        txn.delete(docRef);
-
-        // if (counterUpdater) await counterUpdater();
+      const archiveColRef = collection(
+        getAdapterState(this).firestore,
+        `${collectionPath}_archive`,
+      ).withConverter(this.constructor.converter());
 
-        if (callback) await callback(txn);
-      };
+      const docSnap = await getDoc(doc(archiveColRef, docId));
 
-      if (transaction) {
-        await performTransaction(transaction);
-      } else {
-        await runTransaction(ClientAdapter.firestore, performTransaction);
-      }
+      return docSnap.exists() ? readArchivedSnapshot(docSnap) : null;
     } catch (err) {
       if (err instanceof ClientAdapterError) {
         throw err;
       } else {
-        this._outputErrorConsole("delete", err);
-        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR);
+        logError(this, "fetchArchivedDoc", err, { docId, prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
       }
     }
   }
 
   /**
-   * Restores a deleted document from the archive collection to the original collection.
-   * - Uses `prefix` to resolve the Firestore collection path.
+   * Permanently deletes an archived document.
    *
-   * アーカイブコレクションから削除されたドキュメントを元のコレクションに復元します。
-   * - `prefix` が指定されていれば、それに基づいてコレクションパスを解決します。
+   * アーカイブされたドキュメントを完全に削除します。
    *
-   * @param {Object} args - Restore options.
-   * @param {string} args.docId - Document ID to restore.
-   * @param {string|null} [args.prefix=null] - Optional path prefix.
-   * @returns {Promise<DocumentReference>} Reference to the restored document.
-   * @throws {Error} If document is not found in the archive.
+   * @param {Object} args - Purge options.
+   * @param {string} args.docId - Document ID to purge.
+   * @param {Object|null} [args.transaction=null] - Firestore transaction (optional).
+   * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
+   * @returns {Promise<void>} Resolves when the archived document is deleted.
+   * @throws {ClientAdapterError} If `docId` is not specified or the document is not in the archive.
    */
-  async restore({ docId, prefix = null, transaction = null } = {}) {
+  async purgeArchivedDoc({ docId, transaction = null, prefix = null } = {}) {
     if (!docId) {
       throw new ClientAdapterError(ERRORS.VALIDATION_MISSING_DOC_ID);
     }
+
     try {
       const performTransaction = async (txn) => {
         const collectionPath = this.constructor.getCollectionPath(prefix);
-        const archivePath = `${collectionPath}_archive`;
-        const archiveColRef = collection(ClientAdapter.firestore, archivePath);
+        const archiveColRef = collection(
+          getAdapterState(this).firestore,
+          `${collectionPath}_archive`,
+        );
         const archiveDocRef = doc(archiveColRef, docId);
         const docSnapshot = await txn.get(archiveDocRef);
         if (!docSnapshot.exists()) {
           throw new ClientAdapterError(ERRORS.DATABASE_DOCUMENT_NOT_FOUND);
         }
-
-        // Get function to update counter document.
-        // const adapter = this.constructor.getAdapter();
-        // const counterUpdater = await adapter.getCounterUpdater.bind(this)({
-        //   transaction: txn,
-        //   increment: true,
-        //   prefix,
-        // });
-
-        const colRef = collection(ClientAdapter.firestore, collectionPath);
-        const docRef = doc(colRef, docId);
         txn.delete(archiveDocRef);
-        txn.set(docRef, docSnapshot.data());
-
-        // if (counterUpdater) await counterUpdater();
-
-        return docRef;
       };
 
       if (transaction) {
-        return await performTransaction(transaction);
+        await performTransaction(transaction);
       } else {
-        return await runTransaction(
-          ClientAdapter.firestore,
+        await runTransaction(
+          getAdapterState(this).firestore,
           performTransaction,
         );
       }
@@ -967,46 +4229,455 @@ class ClientAdapter {
       if (err instanceof ClientAdapterError) {
         throw err;
       } else {
-        this._outputErrorConsole("restore", err);
-        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR);
+        logError(this, "purgeArchivedDoc", err, { docId, prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
+      }
+    }
+  }
+
+  /**
+   * Permanently deletes archived documents deleted before the given date.
+   * - Documents are selected by `deletedAt`, so archives without deletion metadata
+   *   are not purged.
+   * - Deletion is performed in chunked write batches and is not atomic as a whole.
+   *
+   * 指定日時より前に削除されたアーカイブを完全に削除します。
+   * - `deletedAt` を持たないアーカイブは対象外です。
+   *
+   * @param {Object} args - Purge options.
+   * @param {Date} args.before - Purge archives whose `deletedAt` is earlier than this date.
+   * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
+   * @param {number} [args.batchSize=500] - Maximum deletions per batch.
+   * @returns {Promise<number>} Number of purged documents.
+   * @throws {ClientAdapterError} If `before` or `batchSize` is invalid, or the deletion fails.
+   */
+  async purgeArchivedDocs({
+    before,
+    prefix = null,
+    batchSize = MAX_BATCH_OPERATIONS,
+  } = {}) {
+    if (!(before instanceof Date) || Number.isNaN(before.getTime())) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_DATE);
+    }
+    if (
+      !Number.isInteger(batchSize) ||
+      batchSize <= 0 ||
+      batchSize > MAX_BATCH_OPERATIONS
+    ) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_BATCH_SIZE);
+    }
+
+    try {
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const archiveColRef = collection(
+        getAdapterState(this).firestore,
+        `${collectionPath}_archive`,
+      );
+      const queryRef = query(
+        archiveColRef,
+        where("deletedAt", "<", before),
+        limit(batchSize),
+      );
+
+      let purged = 0;
+      let snapshot;
+      do {
+        snapshot = await getDocs(queryRef);
+        if (snapshot.empty) break;
+
+        const batch = writeBatch(getAdapterState(this).firestore);
+        snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+        await batch.commit();
+        purged += snapshot.size;
+      } while (snapshot.size === batchSize);
+
+      return purged;
+    } catch (err) {
+      if (err instanceof ClientAdapterError) {
+        throw err;
+      } else {
+        logError(this, "purgeArchivedDocs", err, { prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR, err);
       }
     }
   }
 
+  /**
+   * Creates documents for multiple FireModel instances in chunks.
+   * - `beforeCreate`, `beforeEdit` and `validate` are executed for each instance.
+   * - `docId` of each instance is used if set, otherwise a new ID is generated.
+   *   If a document with the given `docId` already exists, the instance fails with
+   *   `DATABASE/DOCUMENT_ALREADY_EXISTS` and the document is not overwritten.
+   * - Writes are split into chunks of at most `batchSize` operations. Each chunk is
+   *   atomic, but the whole operation is not.
+   * - A chunk that contains instances with `docId` runs in a transaction to check
+   *   their existence. The reads are billed in addition to the writes, and on
+   *   contention the whole chunk is retried. Other chunks use `writeBatch`.
+   * - Autonumbering is not applied.
+   * - If `useCounter` is enabled, the counter is incremented in the same chunk as
+   *   each instance.
+   * - Failures are reported per instance and do not stop the remaining chunks.
+   *   `docId`, `createdAt`, `updatedAt` and `uid` of failed instances are restored.
+   *
+   * 複数のインスタンスをまとめて作成します。
+   * - チャンク単位では原子的に書き込まれますが、全体としては原子的ではありません。
+   * - 指定された `docId` のドキュメントが既に存在する場合、そのインスタンスは失敗します（上書きしません）。
+   * - 自動採番は行われません。
+   *
+   * @param {Object} args - Bulk options.
+   * @param {Array<Object>} args.instances - FireModel instances to create.
+   * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
+   * @param {number} [args.batchSize=500] - Maximum write operations per chunk.
+   * @returns {Promise<{results: Array<Object>, successCount: number, failureCount: number}>}
+   *          Per-instance results (`index`, `instance`, `docId`, `success`, `error`, `chunk`).
+   * @throws {ClientAdapterError} If `instances` or `batchSize` is invalid.
+   */
+  async bulkCreate({
+    instances,
+    prefix = null,
+    batchSize = MAX_BATCH_OPERATIONS,
+  } = {}) {
+    const args = { prefix };
+    const result = await runBulkWrite(
+      "bulkCreate",
+      instances,
+      batchSize,
+      async (instance) => {
+        await instance.beforeCreate(args);
+        await instance.beforeEdit(args);
+        instance.validate();
+
+        const collectionPath = instance.constructor.getCollectionPath(prefix);
+        const colRef = collection(
+          getAdapterState(instance).firestore,
+          collectionPath,
+        ).withConverter(instance.constructor.converter());
+        const hasDocId = Boolean(instance.docId);
+        const docRef = hasDocId ? doc(colRef, instance.docId) : doc(colRef);
+
+        // Metadata is set now and restored if the instance is not written.
+        const rollback = stampInstance(instance, {
+          docId: docRef.id,
+          createdAt: new Date(),
+          updatedAt: new Date(),
+          uid: getAdapterState(instance).auth?.currentUser?.uid || "unknown",
+        });
+
+        const write = prepareTimestampedWrite(instance, docRef, [
+          "createdAt",
+          "updatedAt",
+        ]);
+        const counterWrite = createCounterWrite(instance, prefix, 1);
+        return {
+          // A generated ID cannot exist yet, so only a given `docId` is read.
+          ref: hasDocId ? docRef : null,
+          check: (snapshot) => {
+            if (snapshot?.exists()) {
+              throw new ClientAdapterError(
+                ERRORS.DATABASE_DOCUMENT_ALREADY_EXISTS,
+                null,
+                { docId: docRef.id },
+              );
+            }
+          },
+          writes: [
+            (txn) => txn.set(write.ref, write.data),
+            ...(counterWrite ? [counterWrite] : []),
+          ],
+          rollback,
+        };
+      },
+    );
+
+    result.results
+      .filter(({ success }) => success)
+      .forEach(({ instance }) => rememberLoadedState(instance));
+
+    return result;
+  }
+
+  /**
+   * Updates documents for multiple FireModel instances using chunked batches.
+   * - `beforeUpdate`, `beforeEdit` and `validate` are executed for each instance.
+   * - Each instance must have `docId`.
+   * - Writes are split into `writeBatch` of at most `batchSize` operations. Each
+   *   batch is atomic, but the whole operation is not. Documents are not read.
+   * - `updatedAt` and `uid` of failed instances are restored.
+   *
+   * 複数のインスタンスを `writeBatch` でまとめて更新します。
+   *
+   * @param {Object} args - Bulk options.
+   * @param {Array<Object>} args.instances - FireModel instances to update.
+   * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
+   * @param {number} [args.batchSize=500] - Maximum write operations per chunk.
+   * @returns {Promise<{results: Array<Object>, successCount: number, failureCount: number}>}
+   *          Per-instance results (`index`, `instance`, `docId`, `success`, `error`, `chunk`).
+   * @throws {ClientAdapterError} If `instances` or `batchSize` is invalid.
+   */
+  async bulkUpdate({
+    instances,
+    prefix = null,
+    batchSize = MAX_BATCH_OPERATIONS,
+  } = {}) {
+    const args = { prefix };
+    const result = await runBulkWrite(
+      "bulkUpdate",
+      instances,
+      batchSize,
+      async (instance) => {
+        if (!instance.docId) {
+          throw new ClientAdapterError(ERRORS.VALIDATION_MISSING_DOC_ID);
+        }
+
+        await instance.beforeUpdate(args);
+        await instance.beforeEdit(args);
+        instance.validate();
+
+        const collectionPath = instance.constructor.getCollectionPath(prefix);
+        const colRef = collection(
+          getAdapterState(instance).firestore,
+          collectionPath,
+        ).withConverter(instance.constructor.converter());
+        const docRef = doc(colRef, instance.docId);
+
+        // Metadata is set now and restored if the instance is not written.
+        const rollback = stampInstance(instance, {
+          updatedAt: new Date(),
+          uid: getAdapterState(instance).auth?.currentUser?.uid || "unknown",
+        });
+
+        const write = prepareTimestampedWrite(instance, docRef, ["updatedAt"]);
+        return {
+          ref: null,
+          writes: [(txn) => txn.set(write.ref, write.data)],
+          rollback,
+        };
+      },
+    );
+
+    result.results
+      .filter(({ success }) => success)
+      .forEach(({ instance }) => rememberLoadedState(instance));
+
+    return result;
+  }
+
+  /**
+   * Deletes documents for multiple FireModel instances in chunks.
+   * - `beforeDelete` is executed and child documents are handled according to the
+   *   `onDelete` policy of `hasMany` for each instance. Child writes are included in
+   *   the same transaction as the instance, so an instance whose children do not fit fails.
+   * - If `logicalDelete` is enabled, the stored document is read in the transaction and
+   *   written to the archive collection. Instances whose document does not exist fail
+   *   with `DATABASE/DOCUMENT_NOT_FOUND`.
+   * - If `useCounter` is enabled, the document is read in the transaction and the
+   *   counter is decremented only if it exists.
+   * - Writes are split into chunks of at most `batchSize` operations. Each chunk is
+   *   atomic, but the whole operation is not.
+   * - Only with `logicalDelete` or `useCounter` does a chunk run in a transaction.
+   *   The reads are billed in addition to the writes, and on contention the whole
+   *   chunk is retried. Otherwise the chunk is written with `writeBatch`.
+   *
+   * 複数のインスタンスに該当するドキュメントをまとめて削除します。
+   *
+   * @param {Object} args - Bulk options.
+   * @param {Array<Object>} args.instances - FireModel instances to delete.
+   * @param {string|null} [args.prefix=null] - Optional Firestore path prefix.
+   * @param {number} [args.batchSize=500] - Maximum write operations per chunk.
+   * @returns {Promise<{results: Array<Object>, successCount: number, failureCount: number}>}
+   *          Per-instance results (`index`, `instance`, `docId`, `success`, `error`, `chunk`).
+   * @throws {ClientAdapterError} If `instances` or `batchSize` is invalid.
+   */
+  async bulkDelete({
+    instances,
+    prefix = null,
+    batchSize = MAX_BATCH_OPERATIONS,
+  } = {}) {
+    const args = { prefix };
+    return await runBulkWrite(
+      "bulkDelete",
+      instances,
+      batchSize,
+      async (instance) => {
+        if (!instance.docId) {
+          throw new ClientAdapterError(ERRORS.VALIDATION_MISSING_DOC_ID);
+        }
+
+        await instance.beforeDelete(args);
+
+        const hasManyPrefix = prefix || instance.constructor?.config?.prefix;
+        const dependents = await collectDependents(instance, hasManyPrefix);
+        await assertNotRestricted(instance, dependents, hasManyPrefix);
+        const childWrites = createDependentWrites(instance, dependents);
+
+        const collectionPath = instance.constructor.getCollectionPath(prefix);
+        const docRef = doc(
+          collection(getAdapterState(instance).firestore, collectionPath),
+          instance.docId,
+        );
+        const writes = [(txn) => txn.delete(docRef)];
+
+        // The stored data is archived, not the (possibly edited) instance.
+        const { logicalDelete } = instance.constructor;
+        if (logicalDelete) {
+          const archiveColRef = collection(
+            getAdapterState(instance).firestore,
+            `${collectionPath}_archive`,
+          );
+          const archiveDocRef = doc(archiveColRef, instance.docId);
+          const metadata = createArchiveMetadata(instance);
+          writes.unshift((txn, snapshot) =>
+            txn.set(archiveDocRef, { ...snapshot.data(), ...metadata }),
+          );
+        }
+
+        // The counter is only decremented if the document actually exists.
+        const counterWrite = createCounterWrite(instance, prefix, -1);
+        if (counterWrite) {
+          writes.push((txn, snapshot) => {
+            if (snapshot.exists()) counterWrite(txn);
+          });
+        }
+
+        if (writes.length + childWrites.length > batchSize) {
+          throw new ClientAdapterError(ERRORS.BUSINESS_CASCADE_TOO_LARGE);
+        }
+
+        return {
+          ref: logicalDelete || counterWrite ? docRef : null,
+          check: (snapshot) => {
+            if (logicalDelete && !snapshot.exists()) {
+              throw new ClientAdapterError(ERRORS.DATABASE_DOCUMENT_NOT_FOUND);
+            }
+          },
+          writes: [...writes, ...childWrites],
+        };
+      },
+    );
+  }
+
   /**
    * Unsubscribes from the active Firestore real-time listener, if one exists.
    * - Also clears the local document array (`this.docs`).
+   * - If `name` is provided, only the named subscription is unsubscribed and its
+   *   document array is cleared.
    *
    * Firestore のリアルタイムリスナーを解除します。
    * - 現在のリスナーが存在する場合、それを解除します。
    * - さらに、`this.docs` に格納されていたドキュメントデータもクリアします。
+   * - `name` を指定した場合は、その名前のリスナーのみを解除します。
    *
+   * @param {string|null} [name=null] - Name of the subscription.
    * @returns {void}
    */
-  unsubscribe() {
-    if (this.listener) {
-      this.listener();
-      this.listener = null;
+  unsubscribe(name = null) {
+    const subscriptionMap = getSubscriptionMap(this);
+    if (name === null) {
+      if (this.listener) {
+        this.listener();
+        this.listener = null;
+      }
+      this.docs.splice(0);
+      subscriptionMap.delete(null);
+      return;
     }
-    this.docs.splice(0);
+
+    const entry = subscriptionMap.get(name);
+    if (!entry) return;
+    entry.listener();
+    entry.docs?.splice(0);
+    subscriptionMap.delete(name);
+  }
+
+  /**
+   * Unsubscribes all real-time listeners of the instance, named or not.
+   *
+   * インスタンスのすべてのリアルタイムリスナーを解除します。
+   *
+   * @returns {void}
+   */
+  unsubscribeAll() {
+    const names = [...getSubscriptionMap(this).keys()];
+    names.forEach((name) => this.unsubscribe(name));
+    this.unsubscribe();
+  }
+
+  /**
+   * Returns the current state of a subscription.
+   * - Without `name`, returns the subscription started without a name.
+   *
+   * リアルタイムリスナーの状態を返します。
+   *
+   * @param {string|null} [name=null] - Name of the subscription.
+   * @returns {Object|null} `{ name, type, docs, doc, state, error, metadata }`, or null
+   *          if there is no such subscription.
+   *          - `type`: `'doc'` or `'docs'`. `docs` / `doc` are live references.
+   *          - `state`: `'loading'`, `'ready'` or `'error'`.
+   *          - `error`: `ClientAdapterError` of the last failure (null unless `state` is `'error'`).
+   *          - `metadata`: `{ fromCache, hasPendingWrites }` of the last snapshot (null until received).
+   */
+  getSubscription(name = null) {
+    const entry = getSubscriptionMap(this).get(name);
+    if (!entry) return null;
+    const { type, docs, doc, state, error, metadata } = entry;
+    return { name, type, docs, doc, state, error, metadata };
   }
 
   /**
    * Sets a real-time listener on a Firestore document and initializes the instance with its data.
    * - If a listener already exists, it will be unsubscribed first.
+   * - If `name` is provided, the listener runs alongside the other subscriptions and
+   *   keeps a separate live instance (returned) instead of initializing this instance.
+   *   An existing subscription with the same name is replaced.
+   *
+   * - If the listener stops with an error, `onError` receives a `ClientAdapterError`
+   *   (`DATABASE/LISTENER_FAILED`). Without `onError`, the error is written to the adapter's logger
+   *   (FireModel's `_outputErrorConsole()` if no logger is configured).
+   * - The state (`loading` / `ready` / `error`) and snapshot metadata can be read with
+   *   `getSubscription()` or observed with `onStateChange`.
+   * - If `retry` is enabled, the listener is registered again with exponential backoff
+   *   after transient errors (e.g. `unavailable`). Errors such as `permission-denied`
+   *   are not retried.
    *
    * Firestore のドキュメントに対してリアルタイムリスナーを設定し、
    * ドキュメントのデータでインスタンスを初期化します。
+   * - `name` を指定した場合は、他のリスナーを解除せずに別のインスタンスでドキュメントを監視します。
    *
    * @param {Object} args - Subscribe options.
    * @param {string} args.docId - Document ID to subscribe to.
    * @param {string|null} [args.prefix=null] - Optional path prefix.
+   * @param {string|null} [args.name=null] - Name of the subscription.
+   * @param {function|null} [args.onError=null] - `(error) => void` called when the listener fails.
+   * @param {function|null} [args.onStateChange=null] - `(state, error) => void` called when the state changes.
+   * @param {boolean|Object} [args.retry=false] - `true` or `{ retries=5, initialDelay=1000, maxDelay=30000 }`.
    * @param {function|null} [callback=null] - Callback executed on document changes (moved from args).
-   * @returns {void}
+   * @returns {Object|void} Live instance of a named subscription.
    * @throws {Error} If docId is missing.
    */
-  subscribe({ docId, prefix = null } = {}, callback = null) {
-    this.unsubscribe();
+  subscribe(
+    {
+      docId,
+      prefix = null,
+      name = null,
+      onError = null,
+      onStateChange = null,
+      retry = false,
+    } = {},
+    callback = null,
+  ) {
+    if (!isValidSubscriptionName(name)) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_SUBSCRIPTION_NAME);
+    }
+    if (
+      [callback, onError, onStateChange].some(
+        (fn) => fn !== null && typeof fn !== "function",
+      )
+    ) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_CALLBACK);
+    }
+    const retrySettings = resolveRetry(retry);
+
+    this.unsubscribe(name);
 
     if (!docId) {
       throw new ClientAdapterError(ERRORS.VALIDATION_MISSING_DOC_ID);
@@ -1014,21 +4685,44 @@ class ClientAdapter {
 
     try {
       const collectionPath = this.constructor.getCollectionPath(prefix);
-      // const colRef = collection(ClientAdapter.firestore, collectionPath);
+      // const colRef = collection(getAdapterState(this).firestore, collectionPath);
       const colRef = collection(
-        ClientAdapter.firestore,
+        getAdapterState(this).firestore,
         collectionPath,
       ).withConverter(this.constructor.converter());
       const docRef = doc(colRef, docId);
-      this.listener = onSnapshot(docRef, (docSnapshot) => {
-        this.initialize(docSnapshot.data());
-        if (callback) callback(docSnapshot.data());
-      });
+      const target = name === null ? this : new this.constructor();
+      const entry = { type: "doc", docs: null, doc: target, metadata: null };
+      entry.listener = listen(
+        entry,
+        docRef,
+        (docSnapshot) => {
+          target.initialize(docSnapshot.data());
+          if (docSnapshot.exists()) {
+            rememberLoadedState(target);
+          } else {
+            loadedStates.delete(target);
+          }
+          if (callback) callback(docSnapshot.data());
+        },
+        {
+          onError:
+            onError ||
+            ((error) => logError(this, "subscribe", error, { docId, prefix })),
+          onStateChange,
+          retry: retrySettings,
+        },
+      );
+
+      if (name === null) this.listener = entry.listener;
+      getSubscriptionMap(this).set(name, entry);
+
+      if (name !== null) return target;
     } catch (err) {
       if (err instanceof ClientAdapterError) {
         throw err;
       } else {
-        this._outputErrorConsole("subscribe", err);
+        logError(this, "subscribe", err, { docId, prefix });
         throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR);
       }
     }
@@ -1037,15 +4731,32 @@ class ClientAdapter {
   /**
    * Sets a real-time listener on a Firestore collection and monitors changes.
    * - If `constraints` is a string, performs N-gram search using `tokenMap`.
+   *   With `search`, documents are refined on the client as in `fetchDocs`. A document that stops
+   *   (or starts) matching is reported to `callback` as `removed` (or `added`).
    * - If `constraints` is an array, applies Firestore query conditions.
    * - If `prefix` is provided, it is used to resolve the collection path.
+   * - If `name` is provided, the listener runs alongside the other subscriptions and
+   *   keeps its own live array (returned) instead of `this.docs`.
+   *   An existing subscription with the same name is replaced.
+   * - `onError`, `onStateChange` and `retry` work the same as in `subscribe`.
+   *   After a retry, documents removed while the listener was stopped are reported
+   *   as `removed`.
+   * - The live array keeps the order of the query (e.g. `orderBy`). `callback` receives
+   *   `(item, type, { oldIndex, newIndex })` with the positions in the live array
+   *   (-1 if the document is not in the array before / after the change).
    *
    * @param {Object} args - Subscribe options.
    * @param {Array|string} args.constraints - Query condition array or search string.
    * @param {Array} [args.options=[]] - Additional query conditions.
    * @param {string|null} [args.prefix=null] - Optional path prefix.
+   * @param {Object|boolean|null} [args.search=null] - Opt-in string search refinement as in `fetchDocs`.
+   * @param {string|null} [args.name=null] - Name of the subscription.
+   * @param {function|null} [args.onError=null] - `(error) => void` called when the listener fails.
+   * @param {function|null} [args.onStateChange=null] - `(state, error) => void` called when the state changes.
+   * @param {boolean|Object} [args.retry=false] - Automatic resubscribe settings as in `subscribe`.
    * @param {function|null} [args.callback=null] - [deprecated] Callback executed on document changes.
-   * @param {function|null} [callback=null] - Callback executed on document changes (moved from args).
+   * @param {function|null} [callback=null] - `(item, type, { oldIndex, newIndex }) => void`
+   *                                         executed on document changes (moved from args).
    * @returns {Array<Object>} Live-updated document data.
    */
   subscribeDocs(
@@ -1053,6 +4764,11 @@ class ClientAdapter {
       constraints = [],
       options = [],
       prefix = null,
+      search = null,
+      name = null,
+      onError = null,
+      onStateChange = null,
+      retry = false,
       callback: deprecatedCallback = null,
     } = {},
     callback = null,
@@ -1063,60 +4779,228 @@ class ClientAdapter {
      * - Please update your code accordingly.
      */
     if (deprecatedCallback) {
-      console.warn(
-        "[FireModel-subscribeDocs] The 'callback' parameter has been moved from the options object to a separate parameter. Please update your code accordingly.",
+      logWarning(
+        getAdapterState(this),
+        "The 'callback' parameter has been moved from the options object to a separate parameter. Please update your code accordingly.",
+        { legacyPrefix: "FireModel-subscribeDocs", operation: "subscribeDocs" },
       );
       if (!callback) {
         callback = deprecatedCallback;
       } else {
-        console.warn(
-          "[FireModel-subscribeDocs] The 'callback' parameter was provided both in the options object and as a separate parameter. The separate parameter will take precedence.",
+        logWarning(
+          getAdapterState(this),
+          "The 'callback' parameter was provided both in the options object and as a separate parameter. The separate parameter will take precedence.",
+          {
+            legacyPrefix: "FireModel-subscribeDocs",
+            operation: "subscribeDocs",
+          },
         );
       }
     }
 
-    this.unsubscribe();
-    const queryConstraints = [];
-
-    if (typeof constraints === "string") {
-      if (!constraints) return this.docs; // 空文字列の場合は何もせず返す
-      queryConstraints.push(...this.createTokenMapQueries(constraints));
-      queryConstraints.push(...this.createQueries(options));
-    } else if (Array.isArray(constraints)) {
-      queryConstraints.push(...this.createQueries(constraints));
-    } else if (constraints == null || constraints === undefined) {
-      return this.docs;
-    } else {
-      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_CONSTRAINTS);
+    if (!isValidSubscriptionName(name)) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_SUBSCRIPTION_NAME);
+    }
+    if (
+      [callback, onError, onStateChange].some(
+        (fn) => fn !== null && typeof fn !== "function",
+      )
+    ) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_CALLBACK);
     }
+    const retrySettings = resolveRetry(retry);
+
+    this.unsubscribe(name);
+
+    const docs = name === null ? this.docs : [];
+
+    // 空文字列・null の場合は何もせず返す
+    if (constraints === "" || constraints == null) return docs;
+
+    const searchSettings = resolveSearch(this, constraints, search);
+    const queryConstraints = resolveQueryConstraints(
+      this,
+      constraints,
+      options,
+      searchSettings,
+    );
 
     try {
       const collectionPath = this.constructor.getCollectionPath(prefix);
       const colRef = collection(
-        ClientAdapter.firestore,
+        getAdapterState(this).firestore,
         collectionPath,
       ).withConverter(this.constructor.converter());
       const queryRef = query(colRef, ...queryConstraints);
 
-      this.listener = onSnapshot(queryRef, (snapshot) => {
-        snapshot.docChanges().forEach((change) => {
-          const item = change.doc.data();
-          const index = this.docs.findIndex(
-            ({ docId }) => docId === item.docId,
-          );
-          if (change.type === "added") this.docs.push(item);
-          if (change.type === "modified") this.docs.splice(index, 1, item);
-          if (change.type === "removed") this.docs.splice(index, 1);
-          if (callback) callback(item, change.type);
-        });
-      });
+      const entry = { type: "docs", docs, doc: null, metadata: null };
+      entry.listener = listen(
+        entry,
+        queryRef,
+        createDocChangesHandler(docs, searchSettings, callback),
+        {
+          onError:
+            onError ||
+            ((error) => logError(this, "subscribeDocs", error, { prefix })),
+          onStateChange,
+          retry: retrySettings,
+        },
+      );
+
+      if (name === null) this.listener = entry.listener;
+      getSubscriptionMap(this).set(name, entry);
+
+      return docs;
+    } catch (err) {
+      if (err instanceof ClientAdapterError) {
+        throw err;
+      } else {
+        logError(this, "subscribeDocs", err, { prefix });
+        throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR);
+      }
+    }
+  }
+
+  /**
+   * Sets a real-time listener on a growing window of a query (e.g. infinite scroll).
+   * - Starts with `pageSize` documents. `loadMore()` extends the window by `count`
+   *   documents while keeping real-time updates on everything already loaded.
+   * - `constraints` / `options` / `prefix` / `search` are interpreted the same way as
+   *   `subscribeDocs`. Any `limit` is overridden by the window size.
+   * - If no `orderBy` is specified, documents are ordered by document ID so that the
+   *   window grows at the end.
+   * - `hasMore` is true while the window is full, i.e. it becomes false once a
+   *   window returns fewer documents than its size.
+   * - `name`, `onError`, `onStateChange`, `retry` and `callback` work the same as in
+   *   `subscribeDocs`. Documents already loaded are not reported again when the
+   *   window grows, unless they changed.
+   *
+   * 件数を増やしながら監視できるリアルタイムリスナーを設定します（無限スクロール用）。
+   * - `loadMore()` を呼び出すと、読み込み済みのドキュメントの監視を続けたまま件数を増やします。
+   *
+   * @param {Object} args - Subscribe options.
+   * @param {Array|string} [args.constraints=[]] - Query condition array or search string.
+   * @param {Array} [args.options=[]] - Additional query conditions.
+   * @param {number} [args.pageSize=20] - Initial window size and default increment.
+   * @param {string|null} [args.prefix=null] - Optional path prefix.
+   * @param {Object|boolean|null} [args.search=null] - Opt-in string search refinement as in `fetchDocs`.
+   * @param {string|null} [args.name=null] - Name of the subscription.
+   * @param {function|null} [args.onError=null] - `(error) => void` called when the listener fails.
+   * @param {function|null} [args.onStateChange=null] - `(state, error) => void` called when the state changes.
+   * @param {boolean|Object} [args.retry=false] - Automatic resubscribe settings as in `subscribe`.
+   * @param {function|null} [callback=null] - `(item, type, { oldIndex, newIndex }) => void`
+   * @returns {{docs: Array<Object>, hasMore: boolean, size: number, loadMore: Function, unsubscribe: Function}}
+   *          Controller of the window. `docs` is the live array.
+   * @throws {ClientAdapterError} If arguments are invalid.
+   */
+  subscribeDocsWindow(
+    {
+      constraints = [],
+      options = [],
+      pageSize = 20,
+      prefix = null,
+      search = null,
+      name = null,
+      onError = null,
+      onStateChange = null,
+      retry = false,
+    } = {},
+    callback = null,
+  ) {
+    if (!Number.isInteger(pageSize) || pageSize <= 0) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_LIMIT);
+    }
+    if (!isValidSubscriptionName(name)) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_SUBSCRIPTION_NAME);
+    }
+    if (
+      [callback, onError, onStateChange].some(
+        (fn) => fn !== null && typeof fn !== "function",
+      )
+    ) {
+      throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_CALLBACK);
+    }
+    const retrySettings = resolveRetry(retry);
+    const searchSettings = resolveSearch(this, constraints, search);
+    const queryConstraints = resolveQueryConstraints(
+      this,
+      constraints,
+      options,
+      searchSettings,
+    );
+
+    // The window must grow at the end of a stable ordering.
+    if (!queryConstraints.some((constraint) => constraint.type === "orderBy")) {
+      queryConstraints.push(orderBy(documentId()));
+    }
+
+    this.unsubscribe(name);
+
+    const docs = name === null ? this.docs : [];
+    const unsubscribe = () => this.unsubscribe(name);
+
+    try {
+      const collectionPath = this.constructor.getCollectionPath(prefix);
+      const colRef = collection(
+        getAdapterState(this).firestore,
+        collectionPath,
+      ).withConverter(this.constructor.converter());
+
+      const handleChanges = createDocChangesHandler(
+        docs,
+        searchSettings,
+        callback,
+      );
+      const controller = { docs, hasMore: false, size: 0, unsubscribe };
+      const entry = { type: "docs", docs, doc: null, metadata: null };
+      let stopCurrent = null;
+
+      const start = (size) => {
+        if (stopCurrent) stopCurrent();
+        controller.size = size;
+        stopCurrent = listen(
+          entry,
+          query(colRef, ...queryConstraints, limit(size)),
+          (snapshot, isFirst) => {
+            handleChanges(snapshot, isFirst);
+            controller.hasMore = snapshot.size >= size;
+          },
+          {
+            onError:
+              onError ||
+              ((error) =>
+                logError(this, "subscribeDocsWindow", error, { prefix })),
+            onStateChange,
+            retry: retrySettings,
+          },
+        );
+      };
+
+      /**
+       * Extends the window by `count` documents.
+       * @param {number} [count=pageSize] - Number of documents to add.
+       * @returns {void}
+       */
+      controller.loadMore = (count = pageSize) => {
+        if (!Number.isInteger(count) || count <= 0) {
+          throw new ClientAdapterError(ERRORS.VALIDATION_INVALID_LIMIT);
+        }
+        if (getSubscriptionMap(this).get(name) !== entry) return;
+        start(controller.size + count);
+      };
+
+      start(pageSize);
+      entry.listener = () => stopCurrent();
 
-      return this.docs;
+      if (name === null) this.listener = entry.listener;
+      getSubscriptionMap(this).set(name, entry);
+
+      return controller;
     } catch (err) {
       if (err instanceof ClientAdapterError) {
         throw err;
       } else {
-        this._outputErrorConsole("subscribeDocs", err);
+        logError(this, "subscribeDocsWindow", err, { prefix });
         throw new ClientAdapterError(ERRORS.SYSTEM_UNKNOWN_ERROR);
       }
     }
@@ -1124,12 +5008,29 @@ class ClientAdapter {
 
   /**
    * Firestore トランザクションを実行します。
+   * - このトランザクション内で `create()` / `setAutonumber()` / `reserveAutonumbers()` が
+   *   採番した場合、採番ドキュメントはコミット直前に最後の番号で 1 回だけ書き込まれます。
    * @param {Function} updateFunction - トランザクション内で実行する関数
    * @returns {Promise<any>} トランザクションの結果
    */
   async runTransaction(updateFunction) {
-    return await runTransaction(this.firestore, updateFunction);
+    return await runTransaction(
+      getAdapterState(this).firestore,
+      async (txn) => {
+        managedTransactions.add(txn);
+        const result = await updateFunction(txn);
+        flushAutonumberWrites(txn);
+        return result;
+      },
+    );
   }
 }
 
 export default ClientAdapter;
+export {
+  normalizeText,
+  createTokens,
+  createTokenMap,
+  selectTokens,
+  DEFAULT_NORMALIZATION,
+} from "./tokenMap.js";
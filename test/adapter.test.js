@@ -1,11 +1,157 @@
-import { describe, test, expect, beforeAll, beforeEach } from "@jest/globals";
-import ClientAdapter from "../index.js";
-import { GeoPoint } from "firebase/firestore";
+import {
+  describe,
+  test,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  jest,
+} from "@jest/globals";
+import {
+  GeoPoint,
+  getFirestore,
+  initializeFirestore,
+  serverTimestamp,
+} from "firebase/firestore";
 import { httpsCallable, getFunctions } from "firebase/functions";
-import { getApp } from "firebase/app";
+import { getApp, initializeApp } from "firebase/app";
 import "./setup.js"; // Firebase 初期化
 
+// Firestore の読み込み関数・トランザクション・カーソルをモックし、テストごとに結果を差し替えられるようにする
+// （既定では実際の関数を呼び出す）
+const actual = await import("firebase/firestore");
+const firestoreMocks = Object.fromEntries(
+  [
+    "getDoc",
+    "getDocs",
+    "getDocFromCache",
+    "getDocFromServer",
+    "getDocsFromCache",
+    "getDocsFromServer",
+    "startAfter",
+    "endBefore",
+    "limit",
+    "limitToLast",
+    "runTransaction",
+    "writeBatch",
+    "getCountFromServer",
+    "setDoc",
+  ].map((name) => [name, jest.fn(actual[name])]),
+);
+jest.unstable_mockModule("firebase/firestore", () => ({
+  ...actual,
+  ...firestoreMocks,
+}));
+
+const { default: ClientAdapter } = await import("../index.js");
+
+/**
+ * テスト用のモデルインスタンス（FireModel に相当するオブジェクト）を生成します。
+ * - `constructor` に指定した値でモデルクラスの静的メンバーを上書きします。
+ * - その他の値はインスタンスのプロパティとして設定します。
+ * - FireModel と同様に、クエリの生成やリスナーの解除はアダプターに委譲します。
+ * - `getAdapter()` は既定のアプリで初期化した共通のアダプターを返します。
+ */
+let sharedAdapter = null;
+const getSharedAdapter = () => (sharedAdapter ??= new ClientAdapter());
+const createInstance = ({ constructor = {}, ...props } = {}) => ({
+  constructor: {
+    getAdapter: getSharedAdapter,
+    collectionPath: "Customers",
+    getCollectionPath: (prefix) => `${prefix || ""}Customers`,
+    getEffectivePrefix: () => "",
+    converter: () => ({
+      toFirestore: (instance) => ({ name: instance.name }),
+      fromFirestore: (snapshot) => snapshot.data(),
+    }),
+    ...constructor,
+  },
+  name: "test",
+  beforeCreate: async () => {},
+  beforeUpdate: async () => {},
+  beforeEdit: async () => {},
+  beforeDelete: async () => {},
+  validate: () => {},
+  initialize(data) {
+    Object.assign(this, data ?? {});
+  },
+  createQueries(constraints) {
+    return ClientAdapter.prototype.createQueries.call(this, constraints);
+  },
+  createTokenMapQueries(constraints, options) {
+    return ClientAdapter.prototype.createTokenMapQueries.call(
+      this,
+      constraints,
+      options,
+    );
+  },
+  unsubscribe(name) {
+    return ClientAdapter.prototype.unsubscribe.call(this, name);
+  },
+  setAutonumber(args) {
+    return ClientAdapter.prototype.setAutonumber.call(this, args);
+  },
+  ...props,
+});
+
+/**
+ * テスト用のドキュメントスナップショットを生成します。
+ * - `data` が null の場合は存在しないドキュメントになります。
+ */
+const createDocSnapshot = (id, data = null, path = `Customers/${id}`) => ({
+  id,
+  ref: { id, path },
+  exists: () => data !== null,
+  data: () => data,
+  get: (field) => data?.[field],
+});
+
+/**
+ * テスト用のクエリスナップショットを生成します。
+ */
+const createQuerySnapshot = (docs, { fromCache = false } = {}) => ({
+  docs,
+  size: docs.length,
+  empty: docs.length === 0,
+  metadata: { fromCache, hasPendingWrites: false },
+});
+
+/**
+ * テスト用のトランザクションを生成します。
+ * - `get()` は `data` を持つドキュメントを返します（null の場合は存在しないドキュメント）。
+ * - `data` に関数を指定した場合は、参照ごとに `data(ref)` の結果を返します。
+ */
+const createTransaction = (data = null) => ({
+  get: jest.fn(async (ref) => {
+    const value = typeof data === "function" ? data(ref) : data;
+    return {
+      id: ref?.id,
+      ref,
+      exists: () => value !== null,
+      data: () => value,
+      get: (field) => value?.[field],
+    };
+  }),
+  set: jest.fn(),
+  update: jest.fn(),
+  delete: jest.fn(),
+});
+
+/**
+ * テスト用のロガーを生成します。
+ */
+const createMockLogger = () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+});
+
 describe("ClientAdapter", () => {
+  beforeEach(() => {
+    Object.values(firestoreMocks).forEach((mock) => mock.mockClear());
+  });
+
   describe("functions なしで初期化", () => {
     let adapter;
 
@@ -56,6 +202,10 @@ describe("ClientAdapter", () => {
     test("logger が console を返す", () => {
       expect(adapter.logger).toBe(console);
     });
+
+    test("serverTimestamps が既定で false を返す", () => {
+      expect(adapter.serverTimestamps).toBe(false);
+    });
   });
 
   describe("functions ありで初期化", () => {
@@ -94,10 +244,1915 @@ describe("ClientAdapter", () => {
       expect(typeof callable).toBe("function");
     });
 
+    test("options で serverTimestamps を有効にできる", () => {
+      const adapter = new ClientAdapter(mockFunctions, {
+        serverTimestamps: true,
+      });
+      expect(adapter.serverTimestamps).toBe(true);
+      expect(adapter.functions).toBe(mockFunctions);
+    });
+
     test("GeoPoint インスタンスを生成できる", () => {
       const point = new adapter.GeoPoint(35.6812, 139.7671);
       expect(point.latitude).toBe(35.6812);
       expect(point.longitude).toBe(139.7671);
     });
   });
+
+  describe("fetchPage", () => {
+    let adapter;
+
+    beforeEach(() => {
+      adapter = new ClientAdapter();
+    });
+
+    test("pageSize が正の整数でない場合はエラーになる", async () => {
+      await expect(adapter.fetchPage({ pageSize: 0 })).rejects.toMatchObject({
+        code: "VALIDATION/INVALID_LIMIT",
+      });
+    });
+
+    test("constraints / options の limit・limitToLast はエラーになる", async () => {
+      const instance = createInstance();
+      await expect(
+        adapter.fetchPage.call(instance, { constraints: [["limit", 5]] }),
+      ).rejects.toMatchObject({ code: "VALIDATION/INVALID_CONSTRAINTS" });
+      await expect(
+        adapter.fetchPage.call(instance, {
+          constraints: "東京",
+          options: [
+            ["orderBy", "name"],
+            ["limitToLast", 5],
+          ],
+        }),
+      ).rejects.toMatchObject({ code: "VALIDATION/INVALID_CONSTRAINTS" });
+    });
+
+    describe("カーソル", () => {
+      // テスト用のスナップショットは DocumentSnapshot ではないため、docId をカーソルの値として使用する
+      beforeEach(() => {
+        firestoreMocks.startAfter.mockImplementation((snapshot) =>
+          actual.startAfter(snapshot.id),
+        );
+        firestoreMocks.endBefore.mockImplementation((snapshot) =>
+          actual.endBefore(snapshot.id),
+        );
+      });
+
+      afterEach(() => {
+        firestoreMocks.startAfter.mockImplementation(actual.startAfter);
+        firestoreMocks.endBefore.mockImplementation(actual.endBefore);
+      });
+
+      const snapshots = ["a", "b", "c", "d", "e"].map((id) =>
+        createDocSnapshot(id, createInstance({ name: id })),
+      );
+
+      test("次ページは前ページの最後のドキュメントの後から pageSize + 1 件を取得する", async () => {
+        const instance = createInstance();
+        firestoreMocks.getDocs.mockResolvedValueOnce(
+          createQuerySnapshot(snapshots.slice(0, 3)),
+        );
+        const first = await adapter.fetchPage.call(instance, { pageSize: 2 });
+
+        expect(first.docs.map(({ name }) => name)).toEqual(["a", "b"]);
+        expect(first).toMatchObject({ hasNext: true, hasPrev: false });
+        expect(first.prevCursor).toBeNull();
+        expect(firestoreMocks.limit).toHaveBeenLastCalledWith(3);
+
+        firestoreMocks.getDocs.mockResolvedValueOnce(
+          createQuerySnapshot(snapshots.slice(2, 4)),
+        );
+        const second = await adapter.fetchPage.call(instance, {
+          pageSize: 2,
+          cursor: first.nextCursor,
+        });
+
+        expect(firestoreMocks.startAfter).toHaveBeenCalledWith(snapshots[1]);
+        expect(second.docs.map(({ name }) => name)).toEqual(["c", "d"]);
+        expect(second).toMatchObject({ hasNext: false, hasPrev: true });
+        expect(second.nextCursor).toBeNull();
+        expect(second.prevCursor).toMatchObject({
+          direction: "prev",
+          snapshot: snapshots[2],
+        });
+      });
+
+      test("前ページは最初のドキュメントの前から末尾 pageSize + 1 件を取得する", async () => {
+        const instance = createInstance();
+        firestoreMocks.getDocs.mockResolvedValueOnce(
+          createQuerySnapshot(snapshots.slice(0, 3)),
+        );
+        const first = await adapter.fetchPage.call(instance, { pageSize: 2 });
+        firestoreMocks.getDocs.mockResolvedValueOnce(
+          createQuerySnapshot(snapshots.slice(2, 5)),
+        );
+        const second = await adapter.fetchPage.call(instance, {
+          pageSize: 2,
+          cursor: first.nextCursor,
+        });
+
+        // pageSize 件以下の場合は最初のページに戻ったとみなす
+        firestoreMocks.getDocs.mockResolvedValueOnce(
+          createQuerySnapshot(snapshots.slice(0, 2)),
+        );
+        const back = await adapter.fetchPage.call(instance, {
+          pageSize: 2,
+          cursor: second.prevCursor,
+        });
+
+        expect(firestoreMocks.endBefore).toHaveBeenCalledWith(snapshots[2]);
+        expect(firestoreMocks.limitToLast).toHaveBeenLastCalledWith(3);
+        expect(back.docs.map(({ name }) => name)).toEqual(["a", "b"]);
+        expect(back).toMatchObject({ hasNext: true, hasPrev: false });
+        expect(back.nextCursor).toMatchObject({
+          direction: "next",
+          snapshot: snapshots[1],
+        });
+
+        firestoreMocks.getDocs.mockResolvedValueOnce(
+          createQuerySnapshot(snapshots.slice(4)),
+        );
+        const last = await adapter.fetchPage.call(instance, {
+          pageSize: 2,
+          cursor: second.nextCursor,
+        });
+        // 先頭に余分な 1 件がある場合は取り除き、さらに前のページがあるとみなす
+        firestoreMocks.getDocs.mockResolvedValueOnce(
+          createQuerySnapshot(snapshots.slice(1, 4)),
+        );
+        const middle = await adapter.fetchPage.call(instance, {
+          pageSize: 2,
+          cursor: last.prevCursor,
+        });
+
+        expect(middle.docs.map(({ name }) => name)).toEqual(["c", "d"]);
+        expect(middle).toMatchObject({ hasNext: true, hasPrev: true });
+      });
+    });
+
+    test("fetchPage が返したもの以外の cursor はエラーになる", async () => {
+      await expect(
+        adapter.fetchPage({ cursor: { direction: "next" } }),
+      ).rejects.toMatchObject({ code: "VALIDATION/INVALID_CURSOR" });
+    });
+  });
+
+  describe("createQueries", () => {
+    let adapter;
+
+    beforeEach(() => {
+      adapter = new ClientAdapter();
+    });
+
+    test("カーソル・limitToLast のクエリを生成できる", () => {
+      const queries = adapter.createQueries([
+        ["orderBy", "code"],
+        ["startAfter", "A001"],
+        ["endAt", "Z999"],
+        ["limitToLast", 10],
+      ]);
+      expect(queries.map(({ type }) => type)).toEqual([
+        "orderBy",
+        "startAfter",
+        "endAt",
+        "limitToLast",
+      ]);
+    });
+
+    test("or / and の入れ子を複合フィルタとして生成できる", () => {
+      const queries = adapter.createQueries([
+        [
+          "or",
+          ["where", "status", "==", "open"],
+          [
+            "and",
+            ["where", "priority", ">=", 3],
+            ["where", "owner", "==", "x"],
+          ],
+        ],
+        ["orderBy", "priority", "desc"],
+      ]);
+      expect(queries.map(({ type }) => type)).toEqual(["or", "orderBy"]);
+    });
+
+    test("複合フィルタと where が混在する場合は 1 つの and にまとめる", () => {
+      const queries = adapter.createQueries([
+        ["where", "deleted", "==", false],
+        ["or", ["where", "a", "==", 1], ["where", "b", "==", 2]],
+      ]);
+      expect(queries).toHaveLength(1);
+      expect(queries[0].type).toBe("and");
+    });
+
+    test("不正な形式のタプルはエラーになる", () => {
+      expect(() => adapter.createQueries([["where", "age", ">="]])).toThrow(
+        expect.objectContaining({ code: "VALIDATION/INVALID_QUERY_TUPLE" }),
+      );
+      expect(() => adapter.createQueries([["startAt"]])).toThrow(
+        expect.objectContaining({ code: "VALIDATION/INVALID_QUERY_TUPLE" }),
+      );
+      expect(() => adapter.createQueries([["or", ["orderBy", "age"]]])).toThrow(
+        expect.objectContaining({
+          code: "VALIDATION/INVALID_COMPOSITE_FILTER",
+        }),
+      );
+      expect(() => adapter.createQueries([["limitToLast", 0]])).toThrow(
+        expect.objectContaining({ code: "VALIDATION/INVALID_LIMIT" }),
+      );
+    });
+  });
+
+  describe("文字列検索", () => {
+    let adapter;
+
+    beforeEach(() => {
+      adapter = new ClientAdapter();
+    });
+
+    test("createTokenMapQueries は maxTokens 件までの条件を生成する", () => {
+      const search = "株式会社サンプル商事東京本社";
+      expect(adapter.createTokenMapQueries(search).length).toBeGreaterThan(10);
+      const queries = adapter.createTokenMapQueries(search, { maxTokens: 10 });
+      expect(queries).toHaveLength(10);
+      expect(queries.every(({ type }) => type === "where")).toBe(true);
+    });
+
+    test("search を指定しない場合はクライアント側で絞り込まずにすべてのトークンで検索する", async () => {
+      const instance = createInstance();
+      jest.spyOn(instance, "createTokenMapQueries");
+      const full = createInstance({
+        tokenMap: { 東: true, 京: true, 東京: true },
+      });
+      const partial = createInstance({ tokenMap: { 東: true } });
+      firestoreMocks.getDocs.mockResolvedValueOnce(
+        createQuerySnapshot([
+          createDocSnapshot("a", full),
+          createDocSnapshot("b", partial),
+        ]),
+      );
+
+      const docs = await adapter.fetchDocs.call(instance, {
+        constraints: "東京",
+      });
+
+      expect(docs).toEqual([full, partial]);
+      expect(instance.createTokenMapQueries).toHaveBeenCalledWith("東京", {
+        maxTokens: null,
+      });
+    });
+
+    test("search: true の場合は検索文字列全体のトークンで絞り込む", async () => {
+      const instance = createInstance();
+      const full = createInstance({
+        tokenMap: { 東: true, 京: true, 東京: true },
+      });
+      const partial = createInstance({ tokenMap: { 東: true } });
+      firestoreMocks.getDocs.mockResolvedValueOnce(
+        createQuerySnapshot([
+          createDocSnapshot("a", partial),
+          createDocSnapshot("b", full),
+        ]),
+      );
+
+      const docs = await adapter.fetchDocs.call(instance, {
+        constraints: "東京",
+        search: true,
+      });
+
+      expect(docs).toEqual([full]);
+    });
+
+    test("fetchDocs は不正な search 設定でエラーになる", async () => {
+      await expect(
+        adapter.fetchDocs({ constraints: "検索", search: { maxTokens: 0 } }),
+      ).rejects.toMatchObject({ code: "VALIDATION/INVALID_SEARCH_OPTIONS" });
+      await expect(
+        adapter.fetchDocs({ constraints: "検索", search: { minScore: 2 } }),
+      ).rejects.toMatchObject({ code: "VALIDATION/INVALID_SEARCH_OPTIONS" });
+      await expect(
+        adapter.fetchDocs({ constraints: "検索", search: "rank" }),
+      ).rejects.toMatchObject({ code: "VALIDATION/INVALID_SEARCH_OPTIONS" });
+    });
+  });
+
+  describe("名前付きリスナー", () => {
+    let adapter;
+
+    const createSubscriber = (listener) => {
+      const instance = createInstance({ listener, docs: [{ docId: "a" }] });
+      instance.unsubscribe = adapter.unsubscribe.bind(instance);
+      return instance;
+    };
+
+    beforeEach(() => {
+      adapter = new ClientAdapter();
+    });
+
+    test("名前付きの subscribeDocs は既存のリスナーを解除せず、別の配列を返す", () => {
+      const listener = jest.fn();
+      const instance = createSubscriber(listener);
+      const docs = adapter.subscribeDocs.call(instance, {
+        constraints: "",
+        name: "open",
+      });
+
+      expect(docs).not.toBe(instance.docs);
+      expect(listener).not.toHaveBeenCalled();
+      expect(instance.docs).toHaveLength(1);
+    });
+
+    test("unsubscribeAll は名前のないリスナーも解除する", () => {
+      const listener = jest.fn();
+      const instance = createSubscriber(listener);
+
+      adapter.unsubscribeAll.call(instance);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(instance.listener).toBeNull();
+      expect(instance.docs).toHaveLength(0);
+      expect(adapter.getSubscription.call(instance, "open")).toBeNull();
+    });
+
+    test("retry や onError が不正な場合はエラーになる", () => {
+      const instance = createSubscriber(null);
+      expect(() =>
+        adapter.subscribeDocs.call(instance, {
+          constraints: [],
+          retry: { retries: -1 },
+        }),
+      ).toThrow(
+        expect.objectContaining({ code: "VALIDATION/INVALID_RETRY_OPTIONS" }),
+      );
+      expect(() =>
+        adapter.subscribe.call(instance, { docId: "a", onError: "log" }),
+      ).toThrow(
+        expect.objectContaining({ code: "VALIDATION/INVALID_CALLBACK" }),
+      );
+    });
+
+    test("name が空文字の場合はエラーになる", () => {
+      expect(() =>
+        adapter.subscribeDocs.call({ docs: [] }, { name: "" }),
+      ).toThrow(
+        expect.objectContaining({
+          code: "VALIDATION/INVALID_SUBSCRIPTION_NAME",
+        }),
+      );
+    });
+  });
+
+  describe("ローカルキャッシュ", () => {
+    test("不正な localCache はエラーになる", () => {
+      expect(() => new ClientAdapter(null, { localCache: "disk" })).toThrow(
+        expect.objectContaining({ code: "VALIDATION/INVALID_LOCAL_CACHE" }),
+      );
+    });
+
+    test("初期化済みの Firestore には localCache を適用せず、既存のインスタンスを使用する", () => {
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+      const adapter = new ClientAdapter(null, { localCache: "persistent" });
+      expect(adapter.firestore).toBe(getFirestore());
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    test("source: 'cache' はキャッシュから読み込み、キャッシュにない場合は DATABASE/NOT_IN_CACHE になる", async () => {
+      const adapter = new ClientAdapter();
+      const instance = createInstance();
+      const cached = createInstance({ name: "cached" });
+      firestoreMocks.getDocFromCache.mockResolvedValueOnce({
+        ...createDocSnapshot("a", cached),
+        metadata: { fromCache: true },
+      });
+
+      await expect(
+        adapter.fetchDoc.call(instance, {
+          docId: "a",
+          source: "cache",
+          withMetadata: true,
+        }),
+      ).resolves.toEqual({ doc: cached, fromCache: true });
+      expect(firestoreMocks.getDoc).not.toHaveBeenCalled();
+
+      firestoreMocks.getDocFromCache.mockRejectedValueOnce(
+        Object.assign(new Error("not in cache"), { code: "unavailable" }),
+      );
+      await expect(
+        adapter.fetchDoc.call(instance, { docId: "b", source: "cache" }),
+      ).rejects.toMatchObject({ code: "DATABASE/NOT_IN_CACHE" });
+    });
+
+    test("source: 'server' はサーバーから読み込み、接続できない場合は DATABASE/CONNECTION_ERROR になる", async () => {
+      const adapter = new ClientAdapter();
+      const instance = createInstance();
+      const doc = createInstance({ name: "server" });
+      firestoreMocks.getDocsFromServer.mockResolvedValueOnce(
+        createQuerySnapshot([createDocSnapshot("a", doc)]),
+      );
+
+      await expect(
+        adapter.fetchDocs.call(instance, {
+          source: "server",
+          withMetadata: true,
+        }),
+      ).resolves.toEqual({ docs: [doc], fromCache: false });
+      expect(firestoreMocks.getDocs).not.toHaveBeenCalled();
+
+      firestoreMocks.getDocsFromServer.mockRejectedValueOnce(
+        Object.assign(new Error("offline"), { code: "unavailable" }),
+      );
+      await expect(
+        adapter.fetchPage.call(instance, { source: "server" }),
+      ).rejects.toMatchObject({ code: "DATABASE/CONNECTION_ERROR" });
+    });
+
+    test("fetchPage は source に従って読み込み、fromCache を返す", async () => {
+      const adapter = new ClientAdapter();
+      const instance = createInstance();
+      firestoreMocks.getDocsFromCache.mockResolvedValueOnce(
+        createQuerySnapshot([createDocSnapshot("a", createInstance())], {
+          fromCache: true,
+        }),
+      );
+
+      const page = await adapter.fetchPage.call(instance, { source: "cache" });
+
+      expect(page.docs).toHaveLength(1);
+      expect(page.fromCache).toBe(true);
+      expect(firestoreMocks.getDocs).not.toHaveBeenCalled();
+    });
+
+    test("不正な source やトランザクション内の cache 指定はエラーになる", async () => {
+      const adapter = new ClientAdapter();
+      await expect(
+        adapter.fetchDoc.call({}, { docId: "a", source: "local" }),
+      ).rejects.toMatchObject({ code: "VALIDATION/INVALID_SOURCE" });
+      await expect(
+        adapter.fetch.call(
+          {},
+          { docId: "a", transaction: {}, source: "cache" },
+        ),
+      ).rejects.toMatchObject({ code: "VALIDATION/INVALID_SOURCE" });
+      await expect(
+        adapter.fetchDocs.call({}, { source: "local" }),
+      ).rejects.toMatchObject({ code: "VALIDATION/INVALID_SOURCE" });
+      await expect(
+        adapter.fetchPage.call({}, { source: "local" }),
+      ).rejects.toMatchObject({ code: "VALIDATION/INVALID_SOURCE" });
+    });
+  });
+
+  describe("複数アプリ・名前付きデータベース", () => {
+    test("options で指定した Firestore / Auth を使用し、静的フィールドは変更しない", () => {
+      const defaultAdapter = new ClientAdapter();
+      const firestore = getFirestore(getApp());
+      const auth = { currentUser: null };
+      const adapter = new ClientAdapter({ firestore, auth });
+      expect(adapter.firestore).toBe(firestore);
+      expect(adapter.auth).toBe(auth);
+      expect(adapter.functions).toBeNull();
+      expect(ClientAdapter.auth).toBe(defaultAdapter.auth);
+    });
+
+    test("別のアプリと名前付きデータベースを使用できる", () => {
+      const app = initializeApp(getApp().options, "secondary");
+      const adapter = new ClientAdapter({ app, databaseId: "reports" });
+      expect(adapter.app).toBe(app);
+      expect(adapter.databaseId).toBe("reports");
+      expect(adapter.firestore.app).toBe(app);
+      expect(adapter.firestore).toBe(getFirestore(app, "reports"));
+      expect(adapter.firestore).not.toBe(ClientAdapter.firestore);
+    });
+
+    test("モデルクラスの getAdapter() が返すアダプターの Firestore を使用する", () => {
+      const firestore = getFirestore(getApp(), "archive");
+      const adapter = new ClientAdapter({ firestore });
+      class Item {
+        static getAdapter() {
+          return adapter;
+        }
+        static getCollectionPath() {
+          return "Items";
+        }
+        static converter() {
+          return { toFirestore: (v) => v, fromFirestore: (s) => s.data() };
+        }
+      }
+      const ref = adapter.getDocRef.call(new Item(), { docId: "a" });
+      expect(ref.firestore).toBe(firestore);
+      expect(ref.path).toBe("Items/a");
+    });
+    test("モデルのアダプターを取得できない場合は既定のアプリのアダプターを使用する", () => {
+      const adapter = new ClientAdapter();
+      for (const getAdapter of [undefined, () => ({})]) {
+        const instance = createInstance({ constructor: { getAdapter } });
+        const ref = adapter.getDocRef.call(instance, { docId: "a" });
+        expect(ref.firestore).toBe(ClientAdapter.firestore);
+        expect(ref.path).toBe("Customers/a");
+      }
+    });
+
+    test("getAdapter がエラーをスローした場合はエラーになる", () => {
+      const adapter = new ClientAdapter();
+      const instance = createInstance({
+        constructor: {
+          getAdapter: () => {
+            throw new Error("adapter is not set");
+          },
+        },
+      });
+      expect(() => adapter.getDocRef.call(instance, { docId: "a" })).toThrow(
+        expect.objectContaining({ code: "SYSTEM/FIRESTORE_NOT_INITIALIZED" }),
+      );
+    });
+  });
+
+  describe("エミュレーター", () => {
+    test("既定ではエミュレーターに接続しない", () => {
+      expect(new ClientAdapter().isEmulator).toBe(false);
+    });
+
+    test("emulators: true で既定の接続先に接続し、2 度目は接続しない", () => {
+      const app = initializeApp(getApp().options, "emulator");
+      const adapter = new ClientAdapter({ app, emulators: true });
+      expect(adapter.type).toBe("CLIENT");
+      expect(adapter.isEmulator).toBe(true);
+      expect(adapter.firestore.toJSON().settings.host).toBe("127.0.0.1:8080");
+      expect(adapter.auth.emulatorConfig).toMatchObject({
+        host: "127.0.0.1",
+        port: 9099,
+      });
+      expect(
+        () => new ClientAdapter({ app, emulators: { firestore: true } }),
+      ).not.toThrow();
+    });
+
+    test("サービスごとに接続先を指定できる", () => {
+      const app = initializeApp(getApp().options, "emulator-hosts");
+      const adapter = new ClientAdapter({
+        app,
+        emulators: { firestore: "localhost:8181", auth: false },
+      });
+      expect(adapter.firestore.toJSON().settings.host).toBe("localhost:8181");
+      expect(adapter.auth.emulatorConfig).toBeNull();
+    });
+
+    test("不正な emulators はエラーになる", () => {
+      expect(() => new ClientAdapter({ emulators: { storage: true } })).toThrow(
+        expect.objectContaining({ code: "VALIDATION/INVALID_EMULATORS" }),
+      );
+      expect(
+        () => new ClientAdapter({ emulators: { firestore: "localhost" } }),
+      ).toThrow(
+        expect.objectContaining({ code: "VALIDATION/INVALID_EMULATORS" }),
+      );
+    });
+
+    test("不正な emulators の場合は Firestore を初期化しない", () => {
+      const app = initializeApp(getApp().options, "emulator-invalid");
+      expect(
+        () =>
+          new ClientAdapter({
+            app,
+            localCache: "memory",
+            emulators: { storage: true },
+          }),
+      ).toThrow(
+        expect.objectContaining({ code: "VALIDATION/INVALID_EMULATORS" }),
+      );
+
+      expect(() => initializeFirestore(app, {})).not.toThrow();
+    });
+  });
+
+  describe("ロガー", () => {
+    test("logLevel 以上のログのみを名前空間付きで出力する", () => {
+      const base = createMockLogger();
+      const adapter = new ClientAdapter({
+        logger: base,
+        logLevel: "warn",
+        logNamespace: "Test",
+      });
+      adapter.logger.info("info");
+      adapter.logger.warn("warn", { operation: "x" });
+      expect(base.info).not.toHaveBeenCalled();
+      expect(base.warn).toHaveBeenCalledWith("[Test] warn", { operation: "x" });
+    });
+
+    test("silent では何も出力しない", () => {
+      const error = jest.spyOn(console, "error").mockImplementation(() => {});
+      const adapter = new ClientAdapter({ logLevel: "silent" });
+      adapter.logger.error("error");
+      expect(error).not.toHaveBeenCalled();
+      error.mockRestore();
+    });
+
+    test("エラーを構造化されたコンテキストとともに出力する", () => {
+      const base = createMockLogger();
+      const adapter = new ClientAdapter({ logger: base });
+      const err = Object.assign(new Error("boom"), { code: "internal" });
+      class Item {
+        static getAdapter() {
+          return adapter;
+        }
+        static getCollectionPath(prefix) {
+          return `${prefix || ""}Items`;
+        }
+        static converter() {
+          throw err;
+        }
+      }
+      expect(() =>
+        adapter.getDocRef.call(new Item(), {
+          docId: "a",
+          prefix: "Companies/c1/",
+        }),
+      ).toThrow(expect.objectContaining({ code: "SYSTEM/UNKNOWN_ERROR" }));
+      expect(base.error).toHaveBeenCalledWith(
+        "[ClientAdapter] getDocRef failed: boom",
+        expect.objectContaining({
+          operation: "getDocRef",
+          collectionPath: "Companies/c1/Items",
+          docId: "a",
+          prefix: "Companies/c1/",
+          uid: null,
+          code: "internal",
+          error: err,
+        }),
+      );
+    });
+
+    test("console のその他のメソッドは出力先にそのまま渡し、silent では何もしない", () => {
+      const base = { ...createMockLogger(), table: jest.fn() };
+      const adapter = new ClientAdapter({ logger: base });
+      adapter.logger.table([{ a: 1 }]);
+      expect(base.table).toHaveBeenCalledWith([{ a: 1 }]);
+      expect(() => adapter.logger.group("x")).not.toThrow();
+
+      const silent = new ClientAdapter({ logger: base, logLevel: "silent" });
+      silent.logger.table([]);
+      expect(base.table).toHaveBeenCalledTimes(1);
+    });
+
+    test("ロガーが未設定の場合は FireModel の _outputErrorConsole を使用する", () => {
+      const adapter = new ClientAdapter();
+      const instance = createInstance({
+        _outputErrorConsole: jest.fn(),
+        constructor: {
+          converter: () => {
+            throw new Error("boom");
+          },
+        },
+      });
+      expect(() => adapter.getDocRef.call(instance, { docId: "a" })).toThrow(
+        expect.objectContaining({ code: "SYSTEM/UNKNOWN_ERROR" }),
+      );
+      expect(instance._outputErrorConsole).toHaveBeenCalledWith(
+        "getDocRef",
+        expect.objectContaining({ message: "boom" }),
+      );
+    });
+
+    test("ロガーが未設定の場合、subscribeDocs の非推奨警告は従来の形式で console に出力する", () => {
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+      const adapter = new ClientAdapter();
+      adapter.subscribeDocs.call(createInstance({ docs: [] }), {
+        constraints: "",
+        callback: () => {},
+      });
+      expect(warn).toHaveBeenCalledWith(
+        expect.stringMatching(/^\[FireModel-subscribeDocs\] The 'callback'/),
+      );
+      warn.mockRestore();
+    });
+
+    test("不正な logLevel はエラーになる", () => {
+      expect(() => new ClientAdapter({ logLevel: "verbose" })).toThrow(
+        expect.objectContaining({ code: "VALIDATION/INVALID_LOGGER" }),
+      );
+    });
+  });
+
+  describe("集計", () => {
+    let adapter;
+
+    beforeEach(() => {
+      adapter = new ClientAdapter();
+    });
+
+    test("fetchSum は field が未指定の場合エラーになる", async () => {
+      await expect(adapter.fetchSum({})).rejects.toMatchObject({
+        code: "VALIDATION/MISSING_AGGREGATE_FIELD",
+      });
+    });
+
+    test("fetchAggregate は不明な集計タイプでエラーになる", async () => {
+      await expect(
+        adapter.fetchAggregate({ aggregates: { max: ["max", "amount"] } }),
+      ).rejects.toMatchObject({ code: "VALIDATION/INVALID_AGGREGATE" });
+    });
+  });
+
+  describe("一括処理", () => {
+    let adapter;
+
+    beforeEach(() => {
+      adapter = new ClientAdapter();
+    });
+
+    test("instances が配列でない場合はエラーになる", async () => {
+      await expect(
+        adapter.bulkCreate({ instances: null }),
+      ).rejects.toMatchObject({ code: "VALIDATION/INVALID_INSTANCES" });
+    });
+
+    test("batchSize が上限を超える場合はエラーになる", async () => {
+      await expect(
+        adapter.bulkUpdate({ instances: [], batchSize: 501 }),
+      ).rejects.toMatchObject({ code: "VALIDATION/INVALID_BATCH_SIZE" });
+    });
+
+    test("空の配列は何も書き込まずに結果を返す", async () => {
+      await expect(adapter.bulkDelete({ instances: [] })).resolves.toEqual({
+        results: [],
+        successCount: 0,
+        failureCount: 0,
+      });
+    });
+
+    describe("書き込み", () => {
+      // チャンクごとのトランザクション・バッチを記録する
+      let transactions;
+      let batches;
+      const mockChunks = (data = null) => {
+        transactions = [];
+        batches = [];
+        firestoreMocks.runTransaction.mockImplementation((firestore, fn) => {
+          const transaction = createTransaction(data);
+          transactions.push(transaction);
+          return fn(transaction);
+        });
+        firestoreMocks.writeBatch.mockImplementation(() => {
+          const batch = { ...createTransaction(), commit: jest.fn() };
+          batches.push(batch);
+          return batch;
+        });
+      };
+
+      afterEach(() => {
+        firestoreMocks.runTransaction.mockImplementation(actual.runTransaction);
+        firestoreMocks.writeBatch.mockImplementation(actual.writeBatch);
+      });
+
+      test("batchSize ごとにバッチを分けて作成する", async () => {
+        mockChunks();
+        const instances = [
+          createInstance(),
+          createInstance(),
+          createInstance(),
+        ];
+
+        const result = await adapter.bulkCreate({ instances, batchSize: 2 });
+
+        expect(result.successCount).toBe(3);
+        expect(result.results.map(({ chunk }) => chunk)).toEqual([0, 0, 1]);
+        expect(batches.map(({ set }) => set.mock.calls.length)).toEqual([2, 1]);
+        batches.forEach(({ commit }) => expect(commit).toHaveBeenCalled());
+        // 生成された ID のドキュメントは読み込まないため、トランザクションは使用しない
+        expect(transactions).toEqual([]);
+        instances.forEach((instance) => {
+          expect(instance.docId).toEqual(expect.any(String));
+          expect(instance.createdAt).toBeInstanceOf(Date);
+        });
+      });
+
+      test("指定した docId のドキュメントが存在する場合は上書きせずに失敗し、インスタンスを元に戻す", async () => {
+        mockChunks((ref) => (ref.id === "exists" ? { name: "stored" } : null));
+        const existing = createInstance({ docId: "exists" });
+        const created = createInstance({ docId: "new" });
+
+        const result = await adapter.bulkCreate({
+          instances: [existing, created],
+        });
+
+        expect(result.successCount).toBe(1);
+        expect(result.results[0].error).toMatchObject({
+          code: "DATABASE/DOCUMENT_ALREADY_EXISTS",
+          details: { docId: "exists" },
+        });
+        expect(result.results[1].success).toBe(true);
+        const [transaction] = transactions;
+        expect(transaction.set).toHaveBeenCalledTimes(1);
+        expect(transaction.set.mock.calls[0][0].id).toBe("new");
+        expect(existing.createdAt).toBeUndefined();
+        expect(existing.uid).toBeUndefined();
+        expect(created.createdAt).toBeInstanceOf(Date);
+      });
+
+      test("書き込みに失敗したチャンクのインスタンスは失敗とし、元に戻す", async () => {
+        const error = jest.spyOn(console, "error").mockImplementation(() => {});
+        mockChunks();
+        firestoreMocks.writeBatch.mockImplementationOnce(() => ({
+          ...createTransaction(),
+          commit: jest.fn().mockRejectedValue(new Error("aborted")),
+        }));
+        const failed = createInstance();
+        const updated = createInstance({ docId: "doc-2" });
+        const updatedAt = new Date(2026, 0, 1);
+        failed.docId = "doc-1";
+        failed.updatedAt = updatedAt;
+
+        const result = await adapter.bulkUpdate({
+          instances: [failed, updated],
+          batchSize: 1,
+        });
+
+        expect(result.results[0].error).toMatchObject({
+          code: "DATABASE/BATCH_FAILED",
+        });
+        expect(result.results[1].success).toBe(true);
+        expect(failed.updatedAt).toBe(updatedAt);
+        expect(failed.uid).toBeUndefined();
+        expect(updated.updatedAt).toBeInstanceOf(Date);
+        expect(batches[0].set).toHaveBeenCalledTimes(1);
+        expect(transactions).toEqual([]);
+        expect(error).toHaveBeenCalledTimes(1);
+        error.mockRestore();
+      });
+
+      test("logicalDelete の場合は保存済みのデータをアーカイブする", async () => {
+        mockChunks((ref) => (ref.id === "doc-1" ? { name: "stored" } : null));
+        const instance = createInstance({
+          docId: "doc-1",
+          name: "edited",
+          constructor: { logicalDelete: true },
+        });
+        const missing = createInstance({
+          docId: "doc-2",
+          constructor: { logicalDelete: true },
+        });
+
+        const result = await adapter.bulkDelete({
+          instances: [instance, missing],
+        });
+
+        expect(result.results[0].success).toBe(true);
+        expect(result.results[1].error).toMatchObject({
+          code: "DATABASE/DOCUMENT_NOT_FOUND",
+        });
+        const [transaction] = transactions;
+        const [archiveRef, data] = transaction.set.mock.calls[0];
+        expect(archiveRef.path).toBe("Customers_archive/doc-1");
+        expect(data).toEqual({
+          name: "stored",
+          deletedAt: expect.any(Date),
+          deletedBy: "unknown",
+        });
+        expect(transaction.delete).toHaveBeenCalledTimes(1);
+        expect(transaction.delete.mock.calls[0][0].path).toBe(
+          "Customers/doc-1",
+        );
+      });
+    });
+  });
+
+  describe("部分更新", () => {
+    test("読み込まれていないインスタンスは partial で更新できない", async () => {
+      const adapter = new ClientAdapter();
+      const instance = createInstance({ docId: "doc-1" });
+      await expect(
+        adapter.update.call(instance, { partial: true }),
+      ).rejects.toMatchObject({ code: "VALIDATION/INSTANCE_NOT_LOADED" });
+    });
+
+    test("読み込まれていないインスタンスの getChanges は null を返す", () => {
+      const adapter = new ClientAdapter();
+      expect(adapter.getChanges.call({})).toBeNull();
+    });
+  });
+
+  describe("楽観的排他制御", () => {
+    const loadedAt = new Date(2026, 0, 1);
+
+    const createVersioned = (props = {}) =>
+      createInstance({
+        constructor: {
+          optimisticLock: true,
+          converter: () => ({
+            toFirestore: ({ name, updatedAt, version }) => ({
+              name,
+              updatedAt,
+              version,
+            }),
+            fromFirestore: (snapshot) => snapshot.data(),
+          }),
+        },
+        ...props,
+      });
+
+    // 保存済みのデータを読み込んだインスタンスを返す
+    const fetchVersioned = async (adapter, data, props = {}) => {
+      const instance = createVersioned(props);
+      await adapter.fetch.call(instance, {
+        docId: "doc-1",
+        transaction: createTransaction({ docId: "doc-1", ...data }),
+      });
+      return instance;
+    };
+
+    test("update は読み込み後に updatedAt が変わっていれば両方のバージョンを含めてエラーになる", async () => {
+      const adapter = new ClientAdapter();
+      const instance = await fetchVersioned(adapter, {
+        name: "test",
+        updatedAt: loadedAt,
+      });
+      const changedAt = new Date(2026, 0, 2);
+      const transaction = createTransaction({
+        name: "changed",
+        updatedAt: changedAt,
+      });
+
+      await expect(
+        adapter.update.call(instance, { transaction }),
+      ).rejects.toMatchObject({
+        code: "DATABASE/VERSION_CONFLICT",
+        details: { field: "updatedAt", expected: loadedAt, actual: changedAt },
+      });
+      expect(transaction.set).not.toHaveBeenCalled();
+    });
+
+    test("update はバージョンが一致すれば書き込み、指定したフィールドをインクリメントする", async () => {
+      const adapter = new ClientAdapter();
+      const instance = await fetchVersioned(adapter, {
+        name: "test",
+        version: 3,
+      });
+      const transaction = createTransaction({ name: "test", version: 3 });
+
+      await adapter.update.call(instance, {
+        transaction,
+        optimisticLock: { field: "version" },
+      });
+
+      expect(instance.version).toBe(4);
+      expect(transaction.set).toHaveBeenCalledTimes(1);
+    });
+
+    test("delete は読み込み後にバージョンが変わっていれば削除しない", async () => {
+      const adapter = new ClientAdapter();
+      const instance = await fetchVersioned(adapter, {
+        name: "test",
+        version: 3,
+      });
+      const transaction = createTransaction({ name: "test", version: 4 });
+
+      await expect(
+        adapter.delete.call(instance, {
+          transaction,
+          optimisticLock: { field: "version" },
+        }),
+      ).rejects.toMatchObject({
+        code: "DATABASE/VERSION_CONFLICT",
+        details: { field: "version", expected: 3, actual: 4 },
+      });
+      expect(transaction.delete).not.toHaveBeenCalled();
+    });
+
+    test("読み込まれていないインスタンスは update / delete でバージョンを比較できずエラーになる", async () => {
+      const adapter = new ClientAdapter();
+      const data = { name: "test", updatedAt: loadedAt };
+
+      for (const method of ["update", "delete"]) {
+        const instance = createVersioned({ docId: "doc-1", ...data });
+        const transaction = createTransaction(data);
+        await expect(
+          adapter[method].call(instance, { transaction }),
+        ).rejects.toMatchObject({
+          code: "VALIDATION/INSTANCE_NOT_LOADED",
+          details: { field: "updatedAt" },
+        });
+        expect(transaction.set).not.toHaveBeenCalled();
+        expect(transaction.delete).not.toHaveBeenCalled();
+      }
+    });
+  });
+
+  describe("サーバータイムスタンプ", () => {
+    const createStamped = (adapter) =>
+      createInstance({
+        constructor: {
+          getAdapter: () => adapter,
+          converter: () => ({
+            toFirestore: ({ name, updatedAt }) => ({ name, updatedAt }),
+            fromFirestore: (snapshot) => snapshot.data(),
+          }),
+        },
+      });
+
+    afterEach(() => {
+      firestoreMocks.runTransaction.mockImplementation(actual.runTransaction);
+      firestoreMocks.getDoc.mockImplementation(actual.getDoc);
+    });
+
+    test("確定していない updatedAt では楽観的排他制御のチェックがエラーになる", async () => {
+      const adapter = new ClientAdapter({ serverTimestamps: true });
+      const instance = createStamped(adapter);
+
+      await adapter.create.call(instance, {
+        docId: "doc-1",
+        transaction: createTransaction(),
+      });
+      expect(adapter.hasPendingTimestamps.call(instance)).toBe(true);
+
+      const transaction = createTransaction({
+        name: "test",
+        updatedAt: instance.updatedAt,
+      });
+      await expect(
+        adapter.update.call(instance, { transaction, optimisticLock: true }),
+      ).rejects.toMatchObject({
+        code: "VALIDATION/TIMESTAMPS_PENDING",
+        details: { field: "updatedAt" },
+      });
+      expect(transaction.set).not.toHaveBeenCalled();
+    });
+
+    test("コミット後のタイムスタンプの読み込みに失敗した場合は警告を出力し、確定待ちのままにする", async () => {
+      const logger = createMockLogger();
+      const adapter = new ClientAdapter({
+        serverTimestamps: true,
+        logger,
+      });
+      const instance = createStamped(adapter);
+      firestoreMocks.runTransaction.mockImplementationOnce((firestore, fn) =>
+        fn(createTransaction()),
+      );
+      firestoreMocks.getDoc.mockRejectedValueOnce(
+        Object.assign(new Error("offline"), { code: "unavailable" }),
+      );
+
+      await expect(
+        adapter.create.call(instance, { docId: "doc-1" }),
+      ).resolves.toBeDefined();
+
+      expect(adapter.hasPendingTimestamps.call(instance)).toBe(true);
+      expect(logger.warn).toHaveBeenCalledWith(
+        expect.stringContaining("resolveTimestamps()"),
+        expect.objectContaining({
+          operation: "create",
+          docId: "doc-1",
+          code: "unavailable",
+        }),
+      );
+    });
+  });
+
+  describe("アーカイブ", () => {
+    test("purgeArchivedDocs は before が日付でない場合エラーになる", async () => {
+      const adapter = new ClientAdapter();
+      await expect(
+        adapter.purgeArchivedDocs({ before: "2026-01-01" }),
+      ).rejects.toMatchObject({ code: "VALIDATION/INVALID_DATE" });
+    });
+
+    test("restore は不明な onConflict を指定するとエラーになる", async () => {
+      const adapter = new ClientAdapter();
+      await expect(
+        adapter.restore({ docId: "doc-1", onConflict: "merge" }),
+      ).rejects.toMatchObject({ code: "VALIDATION/INVALID_CONFLICT_POLICY" });
+    });
+
+    describe("restore", () => {
+      const archived = {
+        name: "archived",
+        updatedAt: new Date(2020, 0, 1),
+        uid: "old-user",
+        deletedAt: new Date(2026, 0, 1),
+        deletedBy: "old-user",
+      };
+
+      // アーカイブにのみドキュメントが存在するトランザクション
+      const createRestoreTransaction = () =>
+        createTransaction((ref) =>
+          ref.path.startsWith("Customers_archive/") ? { ...archived } : null,
+        );
+
+      const createArchivedInstance = ({ constructor = {}, ...props } = {}) =>
+        createInstance({
+          constructor: {
+            ...constructor,
+            converter: () => ({
+              toFirestore: ({ name, docId, updatedAt, uid }) => ({
+                name,
+                docId,
+                updatedAt,
+                uid,
+              }),
+              fromFirestore: (snapshot) => ({
+                ...snapshot.data(),
+                validate: props.validate ?? (() => {}),
+              }),
+            }),
+          },
+          ...props,
+        });
+
+      test("再設定した updatedAt / uid / docId を含むデータを検証する", async () => {
+        const adapter = new ClientAdapter();
+        let validated = null;
+        const instance = createArchivedInstance({
+          validate() {
+            validated = { ...this };
+          },
+        });
+
+        await adapter.restore.call(instance, {
+          docId: "doc-1",
+          validate: true,
+          transaction: createRestoreTransaction(),
+        });
+
+        expect(validated.docId).toBe("doc-1");
+        expect(validated.uid).toBe("unknown");
+        expect(validated.updatedAt).not.toEqual(archived.updatedAt);
+        expect(validated).not.toHaveProperty("deletedAt");
+        expect(validated).not.toHaveProperty("deletedBy");
+      });
+
+      test("復元したデータを書き込み、インスタンスに読み込む", async () => {
+        const adapter = new ClientAdapter();
+        const instance = createArchivedInstance();
+        const transaction = createRestoreTransaction();
+
+        await adapter.restore.call(instance, {
+          docId: "doc-1",
+          transaction,
+        });
+
+        expect(transaction.delete.mock.calls[0][0].path).toBe(
+          "Customers_archive/doc-1",
+        );
+        const [docRef, data] = transaction.set.mock.calls[0];
+        expect(docRef.path).toBe("Customers/doc-1");
+        expect(data).toBe(instance);
+        expect(instance).toMatchObject({ name: "archived", docId: "doc-1" });
+        expect(adapter.getChanges.call(instance)).toEqual([]);
+      });
+
+      test("serverTimestamps が有効な場合は updatedAt をサーバー時刻で書き込み、未確定として記録する", async () => {
+        const adapter = new ClientAdapter({ serverTimestamps: true });
+        const instance = createArchivedInstance({
+          constructor: { getAdapter: () => adapter },
+        });
+        const transaction = createRestoreTransaction();
+
+        await adapter.restore.call(instance, {
+          docId: "doc-1",
+          transaction,
+        });
+
+        const [, data] = transaction.set.mock.calls[0];
+        expect(data.updatedAt).toEqual(serverTimestamp());
+        expect(adapter.hasPendingTimestamps.call(instance)).toBe(true);
+      });
+
+      test("dryRun では検証エラーを結果に含め、書き込みを行わない", async () => {
+        const adapter = new ClientAdapter();
+        const error = Object.assign(new Error("invalid"), {
+          name: "ValidationError",
+        });
+        const instance = createArchivedInstance({
+          validate() {
+            throw error;
+          },
+        });
+        const transaction = createRestoreTransaction();
+
+        await expect(
+          adapter.restore.call(instance, {
+            docId: "doc-1",
+            validate: true,
+            dryRun: true,
+            transaction,
+          }),
+        ).resolves.toEqual({
+          docId: "doc-1",
+          targetDocId: "doc-1",
+          action: "restore",
+          conflict: false,
+          validationError: error,
+        });
+        expect(transaction.set).not.toHaveBeenCalled();
+        expect(transaction.delete).not.toHaveBeenCalled();
+      });
+    });
+
+    test("fetchArchivedDoc は docId が未指定の場合エラーになる", async () => {
+      const adapter = new ClientAdapter();
+      await expect(adapter.fetchArchivedDoc({})).rejects.toMatchObject({
+        code: "VALIDATION/MISSING_DOC_ID",
+      });
+    });
+  });
+
+  describe("依存ドキュメント", () => {
+    test("getDependencyReport は docId が未設定の場合エラーになる", async () => {
+      const adapter = new ClientAdapter();
+      await expect(adapter.getDependencyReport({})).rejects.toMatchObject({
+        code: "VALIDATION/MISSING_DOC_ID",
+      });
+    });
+
+    test("getDependencyReport は不正な sampleSize / countLimit / exactCount でエラーになる", async () => {
+      const adapter = new ClientAdapter();
+      const instance = createInstance({ docId: "doc-1" });
+      for (const options of [
+        { sampleSize: 1.5 },
+        { sampleSize: -1 },
+        { sampleSize: "5" },
+        { countLimit: 0 },
+        { countLimit: 10.5 },
+        { exactCount: "yes" },
+      ]) {
+        await expect(
+          adapter.getDependencyReport.call(instance, options),
+        ).rejects.toMatchObject({ code: "VALIDATION/INVALID_REPORT_OPTIONS" });
+      }
+    });
+
+    test("hasMany が空の場合は依存なしのレポートを返す", async () => {
+      const adapter = new ClientAdapter();
+      const instance = createInstance({
+        docId: "doc-1",
+        constructor: { hasMany: [] },
+      });
+      await expect(adapter.getDependencyReport.call(instance)).resolves.toEqual(
+        { hasDependents: false, blocking: false, relations: [] },
+      );
+    });
+  });
+
+  describe("削除時の参照ドキュメントの処理", () => {
+    // 顧客 -> 注文（cascade）-> 明細（clear）/ 支払い（restrict）
+    class Order {
+      static getAdapter = getSharedAdapter;
+      static logicalDelete = true;
+      static hasMany = [
+        {
+          collectionPath: "OrderItems",
+          type: "collection",
+          field: "orderId",
+          condition: "==",
+          onDelete: "clear",
+          clearValue: "",
+        },
+        {
+          collectionPath: "Payments",
+          type: "collection",
+          field: "orderId",
+          condition: "==",
+        },
+      ];
+    }
+
+    const ordersRelation = {
+      collectionPath: "Orders",
+      type: "collection",
+      field: "customerId",
+      condition: "==",
+      onDelete: "cascade",
+      model: Order,
+    };
+
+    const createCustomer = (props = {}) =>
+      createInstance({
+        docId: "customer-1",
+        constructor: { hasMany: [ordersRelation] },
+        ...props,
+      });
+
+    const createChildSnapshot = (path, data = {}) => {
+      const ref = actual.doc(getFirestore(), path);
+      return { ...createDocSnapshot(ref.id, data, path), ref };
+    };
+
+    // getDocs の結果を呼び出し順に設定する（親の hasMany、cascade される子の hasMany の順）
+    const mockDependents = (...docs) =>
+      docs.forEach((snapshots) =>
+        firestoreMocks.getDocs.mockResolvedValueOnce(
+          createQuerySnapshot(snapshots),
+        ),
+      );
+
+    afterEach(() => {
+      firestoreMocks.getDocs.mockImplementation(actual.getDocs);
+      firestoreMocks.getDoc.mockImplementation(actual.getDoc);
+      firestoreMocks.runTransaction.mockImplementation(actual.runTransaction);
+      firestoreMocks.writeBatch.mockImplementation(actual.writeBatch);
+      firestoreMocks.getCountFromServer.mockImplementation(
+        actual.getCountFromServer,
+      );
+    });
+
+    test("previewDelete は cascade される子ドキュメントの参照元も含めて返す", async () => {
+      const adapter = new ClientAdapter();
+      mockDependents(
+        [createChildSnapshot("Orders/order-1")],
+        [createChildSnapshot("OrderItems/item-1")],
+        [],
+      );
+
+      await expect(
+        adapter.previewDelete.call(createCustomer()),
+      ).resolves.toEqual({
+        deletable: true,
+        relations: [
+          expect.objectContaining({
+            collectionPath: "Orders",
+            onDelete: "cascade",
+            parentPath: "Customers/customer-1",
+            paths: ["Orders/order-1"],
+          }),
+          expect.objectContaining({
+            collectionPath: "OrderItems",
+            onDelete: "clear",
+            parentPath: "Orders/order-1",
+            docIds: ["item-1"],
+          }),
+          expect.objectContaining({
+            collectionPath: "Payments",
+            onDelete: "restrict",
+            parentPath: "Orders/order-1",
+            docIds: [],
+          }),
+        ],
+      });
+    });
+
+    test("cascade では子モデルの logicalDelete に従ってアーカイブし、孫ドキュメントも処理する", async () => {
+      const adapter = new ClientAdapter();
+      mockDependents(
+        [createChildSnapshot("Orders/order-1", { total: 100 })],
+        [createChildSnapshot("OrderItems/item-1")],
+        [],
+      );
+      const transaction = createTransaction();
+
+      await adapter.delete.call(createCustomer(), { transaction });
+
+      expect(transaction.update).toHaveBeenCalledTimes(1);
+      const [itemRef, field, value] = transaction.update.mock.calls[0];
+      expect([itemRef.path, field, value]).toEqual([
+        "OrderItems/item-1",
+        "orderId",
+        "",
+      ]);
+      const [archiveRef, data] = transaction.set.mock.calls[0];
+      expect(archiveRef.path).toBe("Orders_archive/order-1");
+      expect(data).toEqual({
+        total: 100,
+        deletedAt: expect.any(Date),
+        deletedBy: "unknown",
+      });
+      expect(transaction.delete.mock.calls.map(([ref]) => ref.path)).toEqual([
+        "Customers/customer-1",
+        "Orders/order-1",
+      ]);
+    });
+
+    test("cascade される子ドキュメントが restrict で参照されている場合は何も書き込まない", async () => {
+      const adapter = new ClientAdapter();
+      mockDependents(
+        [createChildSnapshot("Orders/order-1")],
+        [],
+        [createChildSnapshot("Payments/payment-1")],
+        // 削除を妨げている注文のレポート
+        [],
+        [createChildSnapshot("Payments/payment-1")],
+      );
+      firestoreMocks.getCountFromServer
+        .mockResolvedValueOnce({ data: () => ({ count: 0 }) })
+        .mockResolvedValueOnce({ data: () => ({ count: 1 }) });
+      const transaction = createTransaction();
+
+      await expect(
+        adapter.delete.call(createCustomer(), { transaction }),
+      ).rejects.toMatchObject({
+        code: "BUSINESS/CHILD_DOCUMENTS_EXIST",
+        details: {
+          path: "Orders/order-1",
+          report: {
+            blocking: true,
+            relations: [
+              expect.objectContaining({ collectionPath: "OrderItems" }),
+              expect.objectContaining({
+                collectionPath: "Payments",
+                sampleDocIds: ["payment-1"],
+              }),
+            ],
+          },
+        },
+      });
+      expect(transaction.delete).not.toHaveBeenCalled();
+    });
+
+    test("cascade で子モデルが指定されていない場合はエラーになる", async () => {
+      const adapter = new ClientAdapter();
+      const instance = createCustomer({
+        constructor: { hasMany: [{ ...ordersRelation, model: undefined }] },
+      });
+
+      await expect(adapter.previewDelete.call(instance)).rejects.toMatchObject({
+        code: "BUSINESS/HAS_MANY_CONFIG_INVALID",
+      });
+    });
+
+    describe("1 トランザクションに収まらない場合", () => {
+      class Note {
+        static getAdapter = getSharedAdapter;
+      }
+
+      const createLargeCustomer = (constructor = {}) =>
+        createCustomer({
+          constructor: {
+            hasMany: [{ ...ordersRelation, model: Note }],
+            ...constructor,
+          },
+        });
+
+      // cascade で削除されるドキュメント 600 件（孫ドキュメントはなし）
+      const mockLargeCascade = () =>
+        mockDependents(
+          Array.from({ length: 600 }, (_, i) =>
+            createChildSnapshot(`Notes/note-${i}`),
+          ),
+        );
+
+      let batches;
+      let events;
+      beforeEach(() => {
+        batches = [];
+        events = [];
+        firestoreMocks.writeBatch.mockImplementation(() => {
+          const batch = {
+            delete: jest.fn(),
+            commit: jest.fn(async () => events.push("batch")),
+          };
+          batches.push(batch);
+          return batch;
+        });
+        firestoreMocks.runTransaction.mockImplementation((firestore, fn) => {
+          events.push("transaction");
+          return fn(createTransaction({ name: "stored" }));
+        });
+      });
+
+      test("allowNonAtomic を指定しない場合は何も書き込まずにエラーになる", async () => {
+        const adapter = new ClientAdapter();
+        mockLargeCascade();
+
+        await expect(
+          adapter.delete.call(createLargeCustomer()),
+        ).rejects.toMatchObject({
+          code: "BUSINESS/CASCADE_TOO_LARGE",
+          details: { writes: 600, max: 497 },
+        });
+        expect(events).toEqual([]);
+      });
+
+      test("allowNonAtomic の場合は子ドキュメントをバッチに分割して先に処理し、最後に削除する", async () => {
+        const adapter = new ClientAdapter();
+        mockLargeCascade();
+
+        await adapter.delete.call(createLargeCustomer(), {
+          allowNonAtomic: true,
+        });
+
+        expect(batches.map(({ delete: d }) => d.mock.calls.length)).toEqual([
+          500, 100,
+        ]);
+        expect(events).toEqual(["batch", "batch", "transaction"]);
+      });
+
+      test("allowNonAtomic でも削除対象を削除できない場合は子ドキュメントを処理しない", async () => {
+        const adapter = new ClientAdapter();
+        mockLargeCascade();
+        firestoreMocks.getDoc.mockResolvedValueOnce(
+          createDocSnapshot("customer-1"),
+        );
+
+        await expect(
+          adapter.delete.call(createLargeCustomer({ logicalDelete: true }), {
+            allowNonAtomic: true,
+          }),
+        ).rejects.toMatchObject({ code: "DATABASE/DOCUMENT_NOT_FOUND" });
+        expect(events).toEqual([]);
+      });
+    });
+  });
+
+  describe("ドキュメント数カウンター", () => {
+    test("useCounter が有効な場合は create と同じトランザクションでカウンターを加算する", async () => {
+      const adapter = new ClientAdapter();
+      const instance = createInstance({ constructor: { useCounter: true } });
+      const transaction = createTransaction();
+
+      await adapter.create.call(instance, {
+        transaction,
+        prefix: "Companies/abc123/",
+      });
+
+      expect(transaction.set).toHaveBeenCalledTimes(2);
+      const [docRef, data, options] = transaction.set.mock.calls[1];
+      expect(docRef.path).toBe("Companies/abc123/meta/docCounter");
+      expect(Object.keys(data)).toEqual(["Customers"]);
+      expect(options).toEqual({ merge: true });
+    });
+
+    test("指定した docId のドキュメントが既に存在する場合はカウンターを加算しない", async () => {
+      const adapter = new ClientAdapter();
+      for (const [stored, expected] of [
+        [{ name: "stored" }, 1],
+        [null, 2],
+      ]) {
+        const instance = createInstance({ constructor: { useCounter: true } });
+        const transaction = createTransaction(stored);
+
+        await adapter.create.call(instance, { transaction, docId: "doc-1" });
+
+        expect(transaction.get).toHaveBeenCalledTimes(1);
+        expect(transaction.set).toHaveBeenCalledTimes(expected);
+      }
+    });
+
+    test("同じトランザクションで docId を指定した create を続けて実行できる", async () => {
+      const adapter = new ClientAdapter();
+      const transaction = createTransaction();
+      firestoreMocks.runTransaction.mockImplementationOnce((firestore, fn) =>
+        fn(transaction),
+      );
+      const [first, second, third] = [1, 2, 3].map(() =>
+        createInstance({ constructor: { useCounter: true } }),
+      );
+
+      await adapter.runTransaction.call(first, async (txn) => {
+        await adapter.create.call(first, { transaction: txn, docId: "doc-1" });
+        // 書き込み済みのドキュメントは読み込まずに上書きとして扱う
+        await adapter.create.call(second, { transaction: txn, docId: "doc-1" });
+        // 書き込みの後に他のドキュメントは読み込めない
+        await expect(
+          adapter.create.call(third, { transaction: txn, docId: "doc-2" }),
+        ).rejects.toMatchObject({
+          code: "VALIDATION/READ_AFTER_WRITE",
+          details: { path: "Customers/doc-2" },
+        });
+      });
+
+      expect(transaction.get).toHaveBeenCalledTimes(1);
+      // ドキュメント 2 回とカウンター 1 回
+      expect(transaction.set).toHaveBeenCalledTimes(3);
+      expect(transaction.set.mock.calls[1][0].path).toBe("meta/docCounter");
+    });
+
+    test("bulkDelete は存在するドキュメントの削除のみカウンターを減算する", async () => {
+      const adapter = new ClientAdapter();
+      const transaction = createTransaction((ref) =>
+        ref.id === "doc-1" ? { name: "stored" } : null,
+      );
+      firestoreMocks.runTransaction.mockImplementationOnce((firestore, fn) =>
+        fn(transaction),
+      );
+      const instances = ["doc-1", "doc-2"].map((docId) =>
+        createInstance({ docId, constructor: { useCounter: true } }),
+      );
+
+      const result = await adapter.bulkDelete({ instances });
+
+      expect(result.successCount).toBe(2);
+      expect(transaction.delete).toHaveBeenCalledTimes(2);
+      expect(transaction.set).toHaveBeenCalledTimes(1);
+      const [docRef, data] = transaction.set.mock.calls[0];
+      expect(docRef.path).toBe("meta/docCounter");
+      expect(Object.keys(data)).toEqual(["Customers"]);
+    });
+
+    test("fetchCounter は meta/docCounter のコレクション名のフィールドを返す", async () => {
+      const adapter = new ClientAdapter();
+      firestoreMocks.getDoc
+        .mockResolvedValueOnce(
+          createDocSnapshot(
+            "docCounter",
+            { Customers: 12 },
+            "Companies/abc123/meta/docCounter",
+          ),
+        )
+        .mockResolvedValueOnce(createDocSnapshot("docCounter"));
+
+      await expect(
+        adapter.fetchCounter.call(createInstance(), {
+          prefix: "Companies/abc123/",
+        }),
+      ).resolves.toBe(12);
+      await expect(adapter.fetchCounter.call(createInstance())).resolves.toBe(
+        0,
+      );
+
+      const [[first], [second]] = firestoreMocks.getDoc.mock.calls;
+      expect(first.path).toBe("Companies/abc123/meta/docCounter");
+      expect(second.path).toBe("meta/docCounter");
+    });
+
+    test("rebuildCounter は数え直したドキュメント数でカウンターを上書きする", async () => {
+      const adapter = new ClientAdapter();
+      firestoreMocks.getCountFromServer.mockResolvedValueOnce({
+        data: () => ({ count: 7 }),
+      });
+      firestoreMocks.setDoc.mockResolvedValueOnce(undefined);
+
+      await expect(
+        adapter.rebuildCounter.call(createInstance(), {
+          prefix: "Companies/abc123/",
+        }),
+      ).resolves.toBe(7);
+
+      const [query] = firestoreMocks.getCountFromServer.mock.calls[0];
+      expect(query.path).toBe("Companies/abc123/Customers");
+      const [docRef, data, options] = firestoreMocks.setDoc.mock.calls[0];
+      expect(docRef.path).toBe("Companies/abc123/meta/docCounter");
+      expect(data).toEqual({ Customers: 7 });
+      expect(options).toEqual({ merge: true });
+    });
+
+    test("useCounter が無効な場合はカウンターを更新しない", async () => {
+      const adapter = new ClientAdapter();
+      const instance = createInstance();
+      const transaction = createTransaction();
+
+      await adapter.create.call(instance, { transaction, prefix: "" });
+
+      expect(transaction.set).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("setAutonumber", () => {
+    let adapter;
+
+    const createInvoice = (constructor = {}) =>
+      createInstance({
+        constructor: {
+          collectionPath: "Invoices",
+          getEffectivePrefix: () => "Companies/abc123/",
+          ...constructor,
+        },
+      });
+
+    beforeEach(() => {
+      adapter = new ClientAdapter();
+      jest.useFakeTimers({ now: new Date(2026, 9, 18) });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("format の日付トークンからコードを生成する", async () => {
+      const instance = createInvoice();
+      const transaction = createTransaction({
+        current: 41,
+        length: 4,
+        field: "code",
+        prefix: "",
+        format: "INV-{YYYY}-{MM}-{SEQ}",
+        resetPeriod: "monthly",
+        periodKey: "2026-10",
+        status: true,
+      });
+
+      const update = await adapter.setAutonumber.call(instance, {
+        transaction,
+      });
+      update();
+
+      expect(instance.code).toBe("INV-2026-10-0042");
+      expect(transaction.update).toHaveBeenCalledWith(expect.anything(), {
+        current: 42,
+        periodKey: "2026-10",
+      });
+    });
+
+    test("期間が変わった場合はカウンターをリセットする", async () => {
+      const instance = createInvoice();
+      const transaction = createTransaction({
+        current: 120,
+        length: 3,
+        field: "code",
+        prefix: "S",
+        format: "{PREFIX}{YY}{SEQ}",
+        resetPeriod: "yearly",
+        periodKey: "2025",
+        status: true,
+      });
+
+      await adapter.setAutonumber.call(instance, { transaction });
+
+      expect(instance.code).toBe("S26001");
+    });
+
+    test("format がない場合は従来どおり prefix + 番号を生成する", async () => {
+      const instance = createInvoice();
+      const transaction = createTransaction({
+        current: 9,
+        length: 6,
+        field: "code",
+        prefix: "E",
+        status: true,
+      });
+
+      await adapter.setAutonumber.call(instance, { transaction });
+
+      expect(instance.code).toBe("E000010");
+    });
+
+    test("同じトランザクション内では連番を割り当て、採番ドキュメントを 1 回だけ読み込む", async () => {
+      const first = createInvoice();
+      const second = createInvoice();
+      const transaction = createTransaction({
+        current: 9,
+        length: 6,
+        field: "code",
+        prefix: "E",
+        status: true,
+      });
+
+      (await adapter.setAutonumber.call(first, { transaction }))();
+      (await adapter.setAutonumber.call(second, { transaction }))();
+
+      expect(first.code).toBe("E000010");
+      expect(second.code).toBe("E000011");
+      expect(transaction.get).toHaveBeenCalledTimes(1);
+      expect(transaction.update).toHaveBeenLastCalledWith(expect.anything(), {
+        current: 11,
+        periodKey: null,
+      });
+    });
+
+    test("reserveAutonumbers は指定件数のコードをまとめて確保する", async () => {
+      const instance = createInvoice();
+      const transaction = createTransaction({
+        current: 9,
+        length: 6,
+        field: "code",
+        prefix: "E",
+        status: true,
+      });
+
+      const codes = await adapter.reserveAutonumbers.call(instance, {
+        count: 3,
+        transaction,
+      });
+
+      expect(codes).toEqual(["E000010", "E000011", "E000012"]);
+      expect(transaction.update).toHaveBeenCalledTimes(1);
+      expect(transaction.update).toHaveBeenCalledWith(expect.anything(), {
+        current: 12,
+        periodKey: null,
+      });
+    });
+
+    test("runTransaction 内で複数回採番した場合は採番ドキュメントをコミット直前に 1 回だけ書き込む", async () => {
+      const first = createInvoice({ useAutonumber: true });
+      const second = createInvoice({ useAutonumber: true });
+      const transaction = createTransaction({
+        current: 9,
+        length: 6,
+        field: "code",
+        prefix: "E",
+        status: true,
+      });
+      firestoreMocks.runTransaction.mockImplementationOnce((firestore, fn) =>
+        fn(transaction),
+      );
+
+      const codes = await adapter.runTransaction.call(first, async (txn) => {
+        await adapter.create.call(first, { transaction: txn });
+        await adapter.create.call(second, { transaction: txn });
+        const reserved = await adapter.reserveAutonumbers.call(first, {
+          count: 2,
+          transaction: txn,
+        });
+        expect(transaction.update).not.toHaveBeenCalled();
+        return reserved;
+      });
+
+      expect([first.code, second.code, ...codes]).toEqual([
+        "E000010",
+        "E000011",
+        "E000012",
+        "E000013",
+      ]);
+      expect(transaction.get).toHaveBeenCalledTimes(1);
+      expect(transaction.update).toHaveBeenCalledTimes(1);
+      expect(transaction.update).toHaveBeenCalledWith(expect.anything(), {
+        current: 13,
+        periodKey: null,
+      });
+    });
+
+    test("reserveAutonumbers は不正な件数を拒否する", async () => {
+      const instance = createInvoice();
+      await expect(
+        adapter.reserveAutonumbers.call(instance, { count: 0 }),
+      ).rejects.toMatchObject({ code: "VALIDATION/INVALID_RESERVE_COUNT" });
+    });
+
+    test("updateAutonumberSettings は変更できない項目や不正な値を拒否する", async () => {
+      const instance = createInvoice();
+      for (const settings of [
+        undefined,
+        { field: "number" },
+        { current: -1 },
+        { length: 0 },
+        { format: "INV-{YYYY}" },
+        { resetPeriod: "weekly" },
+      ]) {
+        await expect(
+          adapter.updateAutonumberSettings.call(instance, { settings }),
+        ).rejects.toMatchObject({
+          code: "VALIDATION/INVALID_AUTONUMBER_SETTINGS",
+        });
+      }
+    });
+
+    describe("updateAutonumberSettings", () => {
+      const settings = {
+        current: 1000,
+        length: 4,
+        field: "code",
+        prefix: "E",
+        status: true,
+      };
+
+      // 採番ドキュメントと、使用済みのコードを持つドキュメントを用意する
+      const mockAutonumbers = (codes) => {
+        const transaction = createTransaction(settings);
+        firestoreMocks.getDoc.mockResolvedValueOnce(
+          createDocSnapshot("Invoices", settings),
+        );
+        firestoreMocks.getDocs.mockResolvedValueOnce(
+          createQuerySnapshot(
+            codes.map((code, i) => createDocSnapshot(`doc-${i}`, { code })),
+          ),
+        );
+        firestoreMocks.runTransaction.mockImplementationOnce((firestore, fn) =>
+          fn(transaction),
+        );
+        return transaction;
+      };
+
+      afterEach(() => {
+        firestoreMocks.runTransaction.mockImplementation(actual.runTransaction);
+      });
+
+      test("使用済みのコードを数値として比較する", async () => {
+        const instance = createInvoice();
+        mockAutonumbers(["E0998", "E999", "E1000", "X5000"]);
+
+        await expect(
+          adapter.updateAutonumberSettings.call(instance, {
+            settings: { current: 999 },
+          }),
+        ).rejects.toMatchObject({
+          code: "BUSINESS/AUTONUMBER_CURRENT_TOO_LOW",
+          details: { current: 999, highest: 1000 },
+        });
+      });
+
+      test("length は使用済みのコードの桁数より短くできない", async () => {
+        const instance = createInvoice();
+        mockAutonumbers(["E0042"]);
+
+        await expect(
+          adapter.updateAutonumberSettings.call(instance, {
+            settings: { current: 42, length: 3 },
+          }),
+        ).rejects.toMatchObject({
+          code: "BUSINESS/AUTONUMBER_LENGTH_TOO_SHORT",
+          details: { length: 3, digits: 4 },
+        });
+      });
+
+      test("使用済みのコードと矛盾しない設定を書き込む", async () => {
+        const instance = createInvoice();
+        const transaction = mockAutonumbers(["E0998", "E999"]);
+
+        const next = await adapter.updateAutonumberSettings.call(instance, {
+          settings: { current: 999, length: 5 },
+        });
+
+        expect(next).toMatchObject({ current: 999, length: 5, prefix: "E" });
+        expect(transaction.set).toHaveBeenCalledWith(expect.anything(), next);
+      });
+    });
+  });
 });
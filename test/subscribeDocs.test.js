@@ -0,0 +1,319 @@
+import {
+  describe,
+  test,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  jest,
+} from "@jest/globals";
+
+// onSnapshot のみをモックし、スナップショットを任意に発火できるようにする
+const listeners = [];
+const actual = await import("firebase/firestore");
+jest.unstable_mockModule("firebase/firestore", () => {
+  return {
+    ...actual,
+    onSnapshot: jest.fn((ref, onNext, onError) => {
+      const listener = { ref, onNext, onError, stopped: false };
+      listeners.push(listener);
+      return () => (listener.stopped = true);
+    }),
+  };
+});
+
+const { default: ClientAdapter } = await import("../index.js");
+await import("./setup.js"); // Firebase 初期化
+
+/** 読み込まれたドキュメントのインスタンスに相当するクラス */
+class Order {
+  constructor(docId) {
+    this.docId = docId;
+  }
+
+  static converter() {
+    return {
+      toFirestore: (instance) => ({ docId: instance.docId }),
+      fromFirestore: (snapshot) => new Order(snapshot.id),
+    };
+  }
+}
+
+/**
+ * docChanges を持つクエリスナップショットのモックを生成します。
+ * - changes: `[type, id, oldIndex, newIndex]` の配列
+ * - ids: 変更後のクエリ結果全体の docId 配列
+ */
+const createSnapshot = (changes, ids) => {
+  const createDoc = (id) => ({
+    id,
+    data: () => new Order(id),
+    get: () => undefined,
+  });
+  return {
+    docs: ids.map(createDoc),
+    size: ids.length,
+    metadata: { fromCache: false, hasPendingWrites: false },
+    docChanges: () =>
+      changes.map(([type, id, oldIndex, newIndex]) => ({
+        type,
+        oldIndex,
+        newIndex,
+        doc: createDoc(id),
+      })),
+  };
+};
+
+const createInstance = (adapter) => {
+  const instance = {
+    docs: [],
+    listener: null,
+    constructor: {
+      getAdapter: () => adapter,
+      getCollectionPath: () => "Orders",
+      converter: Order.converter,
+    },
+    createQueries: (constraints) => adapter.createQueries(constraints),
+  };
+  instance.unsubscribe = adapter.unsubscribe.bind(instance);
+  return instance;
+};
+
+describe("subscribeDocs", () => {
+  let adapter;
+
+  beforeAll(() => {
+    adapter = new ClientAdapter();
+  });
+
+  test("docChanges の位置情報に従ってクエリの順序を維持する", () => {
+    const instance = createInstance(adapter);
+    const callback = jest.fn();
+    const docs = adapter.subscribeDocs.call(
+      instance,
+      { constraints: [["orderBy", "createdAt"]] },
+      callback,
+    );
+    const { onNext } = listeners.at(-1);
+
+    onNext(
+      createSnapshot(
+        [
+          ["added", "b", -1, 0],
+          ["added", "d", -1, 1],
+        ],
+        ["b", "d"],
+      ),
+    );
+    onNext(
+      createSnapshot(
+        [
+          ["added", "a", -1, 0],
+          ["added", "c", -1, 2],
+        ],
+        ["a", "b", "c", "d"],
+      ),
+    );
+    expect(docs.map(({ docId }) => docId)).toEqual(["a", "b", "c", "d"]);
+
+    onNext(createSnapshot([["modified", "a", 0, 3]], ["b", "c", "d", "a"]));
+    expect(docs.map(({ docId }) => docId)).toEqual(["b", "c", "d", "a"]);
+    expect(callback).toHaveBeenLastCalledWith(
+      expect.objectContaining({ docId: "a" }),
+      "modified",
+      { oldIndex: 0, newIndex: 3 },
+    );
+
+    onNext(createSnapshot([["removed", "c", 1, -1]], ["b", "d", "a"]));
+    expect(docs.map(({ docId }) => docId)).toEqual(["b", "d", "a"]);
+    expect(callback).toHaveBeenLastCalledWith(
+      expect.objectContaining({ docId: "c" }),
+      "removed",
+      { oldIndex: 1, newIndex: -1 },
+    );
+  });
+
+  test("リスナーのエラーを ClientAdapterError として通知し、状態を記録する", () => {
+    const instance = createInstance(adapter);
+    const onError = jest.fn();
+    adapter.subscribeDocs.call(instance, {
+      constraints: [],
+      name: "open",
+      onError,
+    });
+    const { onError: fail } = listeners.at(-1);
+
+    fail(Object.assign(new Error("denied"), { code: "permission-denied" }));
+
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({ code: "DATABASE/LISTENER_FAILED" }),
+    );
+    expect(adapter.getSubscription.call(instance, "open").state).toBe("error");
+  });
+
+  test("subscribeDocsWindow は loadMore で監視する件数を増やす", () => {
+    const instance = createInstance(adapter);
+    const callback = jest.fn();
+    const controller = adapter.subscribeDocsWindow.call(
+      instance,
+      { constraints: [["orderBy", "createdAt"]], pageSize: 2, name: "feed" },
+      callback,
+    );
+    const first = listeners.at(-1);
+
+    first.onNext(
+      createSnapshot(
+        [
+          ["added", "a", -1, 0],
+          ["added", "b", -1, 1],
+        ],
+        ["a", "b"],
+      ),
+    );
+    expect(controller.hasMore).toBe(true);
+
+    controller.loadMore();
+    const second = listeners.at(-1);
+    expect(first.stopped).toBe(true);
+    expect(controller.size).toBe(4);
+
+    callback.mockClear();
+    second.onNext(
+      createSnapshot(
+        [
+          ["added", "a", -1, 0],
+          ["added", "b", -1, 1],
+          ["added", "c", -1, 2],
+        ],
+        ["a", "b", "c"],
+      ),
+    );
+
+    expect(controller.docs.map(({ docId }) => docId)).toEqual(["a", "b", "c"]);
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith(
+      expect.objectContaining({ docId: "c" }),
+      "added",
+      { oldIndex: -1, newIndex: 2 },
+    );
+    expect(controller.hasMore).toBe(false);
+
+    controller.unsubscribe();
+    expect(second.stopped).toBe(true);
+    expect(controller.docs).toHaveLength(0);
+  });
+
+  describe("リトライ", () => {
+    const unavailable = () =>
+      Object.assign(new Error("unavailable"), { code: "unavailable" });
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const subscribeWithRetry = (retry) => {
+      const instance = createInstance(adapter);
+      const onError = jest.fn();
+      const onStateChange = jest.fn();
+      adapter.subscribeDocs.call(instance, {
+        constraints: [],
+        name: "retry",
+        onError,
+        onStateChange,
+        retry,
+      });
+      return { instance, onError, onStateChange };
+    };
+
+    test("一時的なエラーの後に initialDelay だけ待ってリスナーを再登録する", () => {
+      const { instance, onError, onStateChange } = subscribeWithRetry({
+        retries: 1,
+        initialDelay: 100,
+      });
+      const count = listeners.length;
+
+      listeners.at(-1).onError(unavailable());
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(adapter.getSubscription.call(instance, "retry").state).toBe(
+        "error",
+      );
+
+      jest.advanceTimersByTime(99);
+      expect(listeners).toHaveLength(count);
+      jest.advanceTimersByTime(1);
+      expect(listeners).toHaveLength(count + 1);
+      expect(onStateChange).toHaveBeenLastCalledWith("loading", null);
+
+      listeners.at(-1).onNext(createSnapshot([["added", "a", -1, 0]], ["a"]));
+      expect(adapter.getSubscription.call(instance, "retry")).toMatchObject({
+        state: "ready",
+        error: null,
+      });
+    });
+
+    test("再試行の間隔は指数的に増加し、maxDelay で頭打ちになり、retries 回で終了する", () => {
+      subscribeWithRetry({ retries: 3, initialDelay: 100, maxDelay: 250 });
+      const count = listeners.length;
+
+      const expectRetryAfter = (delay, registered) => {
+        listeners.at(-1).onError(unavailable());
+        jest.advanceTimersByTime(delay - 1);
+        expect(listeners).toHaveLength(registered - 1);
+        jest.advanceTimersByTime(1);
+        expect(listeners).toHaveLength(registered);
+      };
+      expectRetryAfter(100, count + 1);
+      expectRetryAfter(200, count + 2);
+      expectRetryAfter(250, count + 3);
+
+      listeners.at(-1).onError(unavailable());
+      jest.advanceTimersByTime(10000);
+      expect(listeners).toHaveLength(count + 3);
+    });
+
+    test("スナップショットを受信すると再試行の回数をリセットする", () => {
+      subscribeWithRetry({ retries: 1, initialDelay: 100 });
+      const count = listeners.length;
+
+      listeners.at(-1).onError(unavailable());
+      jest.advanceTimersByTime(100);
+      listeners.at(-1).onNext(createSnapshot([], []));
+      listeners.at(-1).onError(unavailable());
+      jest.advanceTimersByTime(100);
+
+      expect(listeners).toHaveLength(count + 2);
+    });
+
+    test("一時的でないエラーは再試行しない", () => {
+      subscribeWithRetry(true);
+      const count = listeners.length;
+
+      listeners
+        .at(-1)
+        .onError(
+          Object.assign(new Error("denied"), { code: "permission-denied" }),
+        );
+      jest.advanceTimersByTime(60000);
+
+      expect(listeners).toHaveLength(count);
+    });
+
+    test("再試行を待っている間に解除すると再登録しない", () => {
+      const { instance } = subscribeWithRetry({
+        retries: 1,
+        initialDelay: 100,
+      });
+      const count = listeners.length;
+
+      listeners.at(-1).onError(unavailable());
+      instance.unsubscribe("retry");
+      jest.advanceTimersByTime(100);
+
+      expect(listeners).toHaveLength(count);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+  normalizeText,
+  createTokens,
+  createTokenMap,
+  selectTokens,
+} from "../tokenMap.js";
+
+describe("tokenMap", () => {
+  describe("normalizeText", () => {
+    test("半角カナ・全角英数字・大文字を統一する", () => {
+      expect(normalizeText("ｱｲｳ")).toBe("アイウ");
+      expect(normalizeText("ＡＢＣ１２３")).toBe("abc123");
+    });
+
+    test("ひらがなをカタカナに統一し、小書き仮名と長音を処理する", () => {
+      expect(normalizeText("さーばー")).toBe("サバ");
+      expect(normalizeText("きって")).toBe(normalizeText("キツテ"));
+    });
+
+    test("設定で個別の処理を無効にできる", () => {
+      expect(
+        normalizeText("ひらがなー", {
+          unifyKana: "hiragana",
+          removeLongVowel: false,
+        }),
+      ).toBe("ひらがなー");
+      expect(normalizeText("ＡＢＣ", false)).toBe("ＡＢＣ");
+    });
+  });
+
+  describe("createTokens", () => {
+    test("正規化しない場合は従来どおりのトークンを生成する", () => {
+      expect(createTokens("検索")).toEqual(["検", "索", "検索"]);
+      expect(createTokens("a.b c")).toEqual(["a", "b", "c", "ab", "bc"]);
+    });
+
+    test("配列の要素をまたぐトークンは生成しない", () => {
+      expect(createTokens(["ab", "cd"])).toEqual([
+        "a",
+        "b",
+        "ab",
+        "c",
+        "d",
+        "cd",
+      ]);
+    });
+  });
+
+  test("createTokenMap は検索時と同じトークンで tokenMap を生成する", () => {
+    const tokenMap = createTokenMap("ｱｲ", true);
+    expect(tokenMap).toEqual({ ア: true, イ: true, アイ: true });
+    expect(createTokens("あい", true).every((token) => tokenMap[token])).toBe(
+      true,
+    );
+  });
+
+  describe("selectTokens", () => {
+    test("maxTokens 以下の場合はすべてのトークンを返す", () => {
+      const tokens = createTokens("検索");
+      expect(selectTokens(tokens, 10)).toBe(tokens);
+      expect(selectTokens(tokens, null)).toBe(tokens);
+    });
+
+    test("2 文字トークンと漢字を含むトークンを優先する", () => {
+      const tokens = createTokens("の東京");
+      expect(selectTokens(tokens, 2)).toEqual(["東京", "の東"]);
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * `tokenMap` による N-Gram 検索のためのトークン生成ユーティリティです。
+ * 書き込み時の `tokenMap` と検索時のクエリで同じ正規化を使用するために、
+ * アダプターとアプリケーションの両方から使用します。
+ *
+ * - 正規化の設定はモデルクラスの `static tokenMapNormalization` で指定します。
+ *   - 未指定（false）: 正規化しません（従来どおり）。
+ *   - true: 既定の正規化（`DEFAULT_NORMALIZATION`）を使用します。
+ *   - Object: 既定の正規化の一部を上書きします。
+ *
+ * @example
+ * class Customer extends FireModel {
+ *   static tokenMapNormalization = true;
+ *   get tokenMap() {
+ *     return createTokenMap([this.name, this.nameKana], Customer.tokenMapNormalization);
+ *   }
+ * }
+ */
+
+/**
+ * 既定の正規化設定です。
+ * - `nfkc`: Unicode NFKC 正規化（全角英数字・半角カナなどを統一）
+ * - `caseFold`: 英字を小文字に統一
+ * - `unifyKana`: ひらがな・カタカナを統一（`'katakana'`, `'hiragana'` または false）
+ * - `enlargeSmallKana`: 小書き仮名を通常の仮名に変換（`ッ` -> `ツ`）
+ * - `removeLongVowel`: 長音記号 `ー` を除去
+ */
+export const DEFAULT_NORMALIZATION = Object.freeze({
+  nfkc: true,
+  caseFold: true,
+  unifyKana: "katakana",
+  enlargeSmallKana: true,
+  removeLongVowel: true,
+});
+
+/** Offset between hiragana (U+3041-U+3096) and katakana (U+30A1-U+30F6). */
+const KANA_OFFSET = 0x60;
+
+/** Small kana and their full-size counterparts. */
+const SMALL_KANA = {
+  ぁ: "あ",
+  ぃ: "い",
+  ぅ: "う",
+  ぇ: "え",
+  ぉ: "お",
+  っ: "つ",
+  ゃ: "や",
+  ゅ: "ゆ",
+  ょ: "よ",
+  ゎ: "わ",
+  ゕ: "か",
+  ゖ: "け",
+  ァ: "ア",
+  ィ: "イ",
+  ゥ: "ウ",
+  ェ: "エ",
+  ォ: "オ",
+  ッ: "ツ",
+  ャ: "ヤ",
+  ュ: "ユ",
+  ョ: "ヨ",
+  ヮ: "ワ",
+  ヵ: "カ",
+  ヶ: "ケ",
+};
+
+/**
+ * サロゲートペア文字（絵文字など）および Firestore のフィールドパスとして使用できない文字
+ */
+const EXCLUDED_CHARACTERS =
+  /[\uD800-\uDBFF]|[\uDC00-\uDFFF]|~|\*|\[|\]|\.|\s+/g;
+
+/**
+ * モデルクラスの `tokenMapNormalization` から正規化設定を解決します。
+ *
+ * @param {boolean|Object|null|undefined} normalization
+ * @returns {Object|null} Normalization settings, or null for no normalization.
+ */
+function resolveNormalization(normalization) {
+  if (!normalization) return null;
+  if (normalization === true) return DEFAULT_NORMALIZATION;
+  return { ...DEFAULT_NORMALIZATION, ...normalization };
+}
+
+/**
+ * 文字列を検索用に正規化します。
+ * - 例：`'ｱｲｳ'` -> `'アイウ'`, `'ＡＢＣ'` -> `'abc'`, `'さーばー'` -> `'サバ'`
+ *
+ * @param {string} text - 正規化する文字列
+ * @param {boolean|Object|null} [normalization=true] - 正規化設定（false で正規化しない）
+ * @returns {string} 正規化された文字列
+ */
+export function normalizeText(text, normalization = true) {
+  const settings = resolveNormalization(normalization);
+  let result = String(text ?? "");
+  if (!settings) return result;
+
+  if (settings.nfkc) result = result.normalize("NFKC");
+  if (settings.caseFold) result = result.toLowerCase();
+  if (settings.enlargeSmallKana) {
+    result = result.replace(
+      /[ぁぃぅぇぉっゃゅょゎゕゖァィゥェォッャュョヮヵヶ]/g,
+      (c) => SMALL_KANA[c],
+    );
+  }
+  if (settings.unifyKana === "katakana") {
+    result = result.replace(/[ぁ-ゖ]/g, (c) =>
+      String.fromCharCode(c.charCodeAt(0) + KANA_OFFSET),
+    );
+  } else if (settings.unifyKana === "hiragana") {
+    result = result.replace(/[ァ-ヶ]/g, (c) =>
+      String.fromCharCode(c.charCodeAt(0) - KANA_OFFSET),
+    );
+  }
+  if (settings.removeLongVowel) result = result.replace(/ー/g, "");
+
+  return result;
+}
+
+/**
+ * 文字列から 1 文字・2 文字のトークンを生成します（重複は除外）。
+ * - 例：`"検索"` → `['検', '索', '検索']`
+ * - 配列を渡した場合は要素ごとにトークンを生成します（要素をまたぐ 2 文字トークンは生成しません）。
+ * - サロゲートペア文字（絵文字など）および Firestore のフィールドパスとして使用できない文字は除外します。
+ *
+ * @param {string|Array<string>} text - トークンを生成する文字列
+ * @param {boolean|Object|null} [normalization=null] - 正規化設定（未指定の場合は正規化しない）
+ * @returns {Array<string>} トークンの配列
+ */
+export function createTokens(text, normalization = null) {
+  const texts = Array.isArray(text) ? text : [text];
+  const tokens = texts.flatMap((value) => {
+    const target = normalizeText(value, normalization).replace(
+      EXCLUDED_CHARACTERS,
+      "",
+    );
+    const chars = [...target];
+    return [
+      ...chars,
+      ...chars.slice(0, -1).map((char, i) => char + chars[i + 1]),
+    ];
+  });
+  return [...new Set(tokens)];
+}
+
+/**
+ * 書き込み用の `tokenMap` オブジェクトを生成します。
+ * - 例：`createTokenMap('検索')` -> `{ 検: true, 索: true, 検索: true }`
+ * - 検索時と同じトークンになるよう、モデルクラスの `tokenMapNormalization` を渡してください。
+ *
+ * @param {string|Array<string>} text - トークンを生成する文字列
+ * @param {boolean|Object|null} [normalization=null] - 正規化設定（未指定の場合は正規化しない）
+ * @returns {Object<string, true>} tokenMap
+ */
+export function createTokenMap(text, normalization = null) {
+  return Object.fromEntries(
+    createTokens(text, normalization).map((token) => [token, true]),
+  );
+}
+
+/**
+ * トークンの絞り込み効果の目安となる文字ごとの重みを返します。
+ * - 漢字 > カタカナ・英数字 > ひらがな・記号 の順に、出現頻度が低く絞り込み効果が高いとみなします。
+ */
+function getCharWeight(char) {
+  if (/\p{Script=Han}/u.test(char)) return 3;
+  if (/\p{Script=Katakana}|[a-z0-9]/iu.test(char)) return 2;
+  return 1;
+}
+
+/**
+ * トークンの中から絞り込み効果が高いと推定されるものを最大 `maxTokens` 件選択します。
+ * - 2 文字トークンを 1 文字トークンより優先し、さらに文字の種類で優先度を決めます。
+ * - 優先度が同じ場合は元の順序を維持します。
+ *
+ * @param {Array<string>} tokens - `createTokens()` で生成したトークン
+ * @param {number|null} maxTokens - 選択する最大件数（未指定の場合はすべて）
+ * @returns {Array<string>} 選択されたトークン
+ */
+export function selectTokens(tokens, maxTokens = null) {
+  if (!maxTokens || tokens.length <= maxTokens) return tokens;
+  const score = (token) =>
+    [...token].reduce((sum, char) => sum + getCharWeight(char), 0) +
+    ([...token].length > 1 ? 2 : 0);
+  return tokens
+    .map((token, index) => ({ token, index, score: score(token) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, maxTokens)
+    .map(({ token }) => token);
+}